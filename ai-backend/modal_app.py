@@ -129,6 +129,11 @@ def fastapi_app():
 
     web_app = FastAPI()
 
+    @web_app.get("/health")
+    async def health_endpoint():
+        """Health probe used by the gateway to route around unavailable replicas"""
+        return {"status": "ok"}
+
     @web_app.post("/process")
     async def process_endpoint(
         image: UploadFile = File(...),
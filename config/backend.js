@@ -0,0 +1,287 @@
+// Model backend client - forwards gateway requests to a model's AI backend replicas
+// Each model can list several backend URLs. Requests are spread across the healthy ones,
+// every replica has its own circuit breaker, and connection failures are retried on another replica.
+const axios = require('axios');
+const FormData = require('form-data');
+const { getEnabledModelVersions } = require('./models');
+const { callTestBackend } = require('./testMode');
+
+// Defaults for the per-model backend settings in config/models.js
+const BACKEND_DEFAULTS = {
+  loadBalancing: 'round-robin', // or 'least-in-flight'
+  healthCheck: {
+    path: null,        // e.g. '/health' - no probes when unset
+    intervalMs: 30000, // 30 seconds
+    timeoutMs: 5000
+  },
+  circuitBreaker: {
+    failureThreshold: 3,  // Consecutive failures before a replica is taken out of rotation
+    resetTimeoutMs: 30000 // How long it stays out before one trial request is let through
+  }
+};
+
+// Errors where the request never reached the backend, so it is safe to try another replica
+const CONNECTION_ERRORS = ['ECONNREFUSED', 'ECONNRESET', 'EHOSTUNREACH', 'ENETUNREACH', 'ENOTFOUND', 'EAI_AGAIN'];
+
+// Replica state per model version (each version can have its own backends)
+const pools = new Map();
+
+// Effective backend settings of a model
+function getBackendSettings(model) {
+  return {
+    loadBalancing: model.loadBalancing || BACKEND_DEFAULTS.loadBalancing,
+    healthCheck: { ...BACKEND_DEFAULTS.healthCheck, ...model.healthCheck },
+    circuitBreaker: { ...BACKEND_DEFAULTS.circuitBreaker, ...model.circuitBreaker }
+  };
+}
+
+// Get (or create) the replica pool of a model version
+function getPool(model) {
+  const key = `${model.id}@${model.version}`;
+  if (!pools.has(key)) {
+    const urls = model.backendUrls || [model.backendUrl];
+    pools.set(key, {
+      nextIndex: 0,
+      backends: urls.map(url => ({
+        url: url.replace(/\/$/, ''),
+        healthy: true,
+        inFlight: 0,
+        consecutiveFailures: 0,
+        circuit: 'closed', // 'closed', 'open' or 'half-open'
+        openedAt: null
+      }))
+    });
+  }
+  return pools.get(key);
+}
+
+// Circuit state of a replica as of now - an open circuit whose reset timeout has passed counts as half-open
+function getCircuitState(backend, settings) {
+  if (backend.circuit === 'open' && Date.now() - backend.openedAt >= settings.circuitBreaker.resetTimeoutMs) {
+    return 'half-open';
+  }
+  return backend.circuit;
+}
+
+// Could this replica take a request right now? Read-only, so the health endpoint can ask without changing the circuit
+function acceptsRequests(backend, settings) {
+  const circuit = getCircuitState(backend, settings);
+  // Only one trial request at a time while half-open
+  return circuit === 'closed' || (circuit === 'half-open' && backend.inFlight === 0);
+}
+
+// Can this replica take the next attempt? (moves open circuits to half-open after the reset timeout)
+function isAvailable(backend, settings) {
+  backend.circuit = getCircuitState(backend, settings);
+  return acceptsRequests(backend, settings);
+}
+
+// Pick the replica for the next attempt, skipping the ones already tried
+function selectBackend(model, tried) {
+  const settings = getBackendSettings(model);
+  const pool = getPool(model);
+  const available = pool.backends.filter(backend => !tried.has(backend.url) && isAvailable(backend, settings));
+
+  // Prefer replicas that pass their health probe, but never refuse to try when all of them fail it
+  const healthy = available.filter(backend => backend.healthy);
+  const candidates = healthy.length > 0 ? healthy : available;
+
+  if (candidates.length === 0) {
+    return null;
+  }
+
+  const start = pool.nextIndex++ % candidates.length;
+  const ordered = [...candidates.slice(start), ...candidates.slice(0, start)];
+
+  if (settings.loadBalancing === 'least-in-flight') {
+    return ordered.reduce((best, backend) => backend.inFlight < best.inFlight ? backend : best);
+  }
+  return ordered[0];
+}
+
+function recordSuccess(backend) {
+  backend.consecutiveFailures = 0;
+  backend.circuit = 'closed';
+  backend.openedAt = null;
+}
+
+function recordFailure(backend, settings) {
+  backend.consecutiveFailures++;
+  if (backend.circuit === 'half-open' || backend.consecutiveFailures >= settings.circuitBreaker.failureThreshold) {
+    if (backend.circuit !== 'open') {
+      console.warn(`Backend ${backend.url} circuit opened after ${backend.consecutiveFailures} failure(s)`);
+    }
+    backend.circuit = 'open';
+    backend.openedAt = Date.now();
+  }
+}
+
+// Connection failures and 5xx responses count against a replica, 4xx responses don't
+function isBackendFailure(error) {
+  return !error.response || error.response.status >= 500;
+}
+
+// Send the declared fields to one replica (a fresh body per attempt - form data streams can't be resent)
+function postToBackend(model, baseUrl, files, params) {
+  const requestOptions = {
+    responseType: model.responseType === 'application/json' ? 'json' : 'arraybuffer',
+    timeout: model.limitations.timeout,
+    maxContentLength: 50 * 1024 * 1024, // 50MB max response
+    maxBodyLength: 50 * 1024 * 1024
+  };
+  const url = `${baseUrl}${model.backendPath}`;
+
+  // JSON models receive the declared fields as a JSON body
+  if (model.requestSchema.type === 'application/json') {
+    const payload = {};
+    for (const field of model.requestSchema.fields) {
+      if (params?.[field.name] !== undefined) {
+        payload[field.name] = params[field.name];
+      }
+    }
+    return axios.post(url, payload, requestOptions);
+  }
+
+  const formData = new FormData();
+  for (const field of model.requestSchema.fields) {
+    if (field.type === 'file') {
+      const file = files?.[field.name]?.[0];
+      if (file) {
+        formData.append(field.name, file.buffer, {
+          filename: file.originalname,
+          contentType: file.mimetype
+        });
+      }
+    } else if (params?.[field.name] !== undefined && params[field.name] !== '') {
+      formData.append(field.name, String(params[field.name]));
+    }
+  }
+
+  return axios.post(url, formData, {
+    ...requestOptions,
+    headers: formData.getHeaders()
+  });
+}
+
+// Forward the declared fields to one of the model's replicas and return the axios response
+// test requests (sk_test_ keys) are answered by the built-in stub in config/testMode.js instead
+async function callModelBackend(model, files, params, { test = false } = {}) {
+  if (test) {
+    return callTestBackend(model, files, params);
+  }
+
+  const settings = getBackendSettings(model);
+  const tried = new Set();
+  let lastError = null;
+
+  for (;;) {
+    const backend = selectBackend(model, tried);
+
+    if (!backend) {
+      throw lastError || new Error(`No available backend for ${model.name}`);
+    }
+
+    tried.add(backend.url);
+    backend.inFlight++;
+
+    try {
+      const response = await postToBackend(model, backend.url, files, params);
+      recordSuccess(backend);
+      return response;
+    } catch (error) {
+      if (isBackendFailure(error)) {
+        recordFailure(backend, settings);
+      }
+
+      // Connection-level failure - the replica never produced a result, try the next one
+      if (CONNECTION_ERRORS.includes(error.code)) {
+        console.warn(`${model.name} backend ${backend.url} unreachable (${error.code}), trying another replica`);
+        lastError = error;
+        continue;
+      }
+
+      throw error;
+    } finally {
+      backend.inFlight--;
+    }
+  }
+}
+
+// Normalize a backend response to { contentType, body } (body is always a Buffer)
+function readBackendResult(model, aiResponse) {
+  if (model.responseType === 'application/json') {
+    return {
+      contentType: 'application/json',
+      body: Buffer.from(JSON.stringify(aiResponse.data))
+    };
+  }
+
+  // Trust the image type the backend actually sent over the configured one
+  const contentType = (aiResponse.headers?.['content-type'] || '').split(';')[0].trim();
+
+  return {
+    contentType: contentType.startsWith('image/') ? contentType : model.responseType,
+    body: Buffer.from(aiResponse.data)
+  };
+}
+
+// Probe every replica of a model once
+async function probeBackends(model) {
+  const { healthCheck } = getBackendSettings(model);
+
+  await Promise.all(getPool(model).backends.map(async (backend) => {
+    try {
+      await axios.get(`${backend.url}${healthCheck.path}`, { timeout: healthCheck.timeoutMs });
+      if (!backend.healthy) {
+        console.log(`✓ Backend ${backend.url} (${model.id}) is healthy again`);
+      }
+      backend.healthy = true;
+    } catch (error) {
+      if (backend.healthy) {
+        console.warn(`✗ Backend ${backend.url} (${model.id}) failed its health check: ${error.message}`);
+      }
+      backend.healthy = false;
+    }
+  }));
+}
+
+// Start periodic health probes for every enabled model version that configures a health check path
+function startBackendHealthChecks() {
+  for (const model of getEnabledModelVersions()) {
+    const { healthCheck } = getBackendSettings(model);
+    if (!healthCheck.path) {
+      continue;
+    }
+
+    probeBackends(model);
+    setInterval(() => {
+      probeBackends(model);
+    }, healthCheck.intervalMs);
+  }
+
+  console.log('✓ Backend health checks started');
+}
+
+// Replica counts per model and version (no URLs - this is shown on the public health endpoint)
+function getBackendStatus() {
+  const status = {};
+
+  for (const model of getEnabledModelVersions()) {
+    const settings = getBackendSettings(model);
+    const backends = getPool(model).backends;
+    status[model.id] = status[model.id] || {};
+    status[model.id][model.version] = {
+      replicas: backends.length,
+      available: backends.filter(backend => backend.healthy && acceptsRequests(backend, settings)).length
+    };
+  }
+
+  return status;
+}
+
+module.exports = {
+  callModelBackend,
+  readBackendResult,
+  startBackendHealthChecks,
+  getBackendStatus
+};
@@ -0,0 +1,174 @@
+// Token billing - reserve tokens before a model call, then commit or refund them
+// A reservation is recorded as pending api_usage rows right away, so it counts against the key's budget, the client
+// token's budget and the end user's quota while the request runs
+const {
+  deductToken,
+  addTokensToUser,
+  logApiUsage,
+  reserveApiUsage,
+  settleApiUsage,
+  refundApiUsage,
+  deleteApiUsage
+} = require('./database');
+const { isTestKey } = require('./testMode');
+const { loadKeyBudget, checkKeyBudget } = require('./budgets');
+const { loadEndUserQuota, checkEndUserQuota } = require('./endUsers');
+
+// Reserve tokens for a request - itemAmounts splits it into batch items (see splitReservation)
+// Resolves to { reservation }, { reservation: null } when the user can't afford it, or { reservation: null, overBudget }
+// ({ status, headers, body }) when the key's budget, the client token's budget or the end user's quota doesn't cover it.
+// The caller checks those first (checkKeyBudget, checkEndUserQuota) for a quick answer; this check is the one that holds
+// when requests run at the same time.
+// Test keys are never charged - their reservations are for 0 tokens and only record the usage
+async function reserveTokens(apiKeyData, endpoint, amount, itemAmounts = [amount]) {
+  const testMode = isTestKey(apiKeyData);
+  const amounts = testMode ? itemAmounts.map(() => 0) : itemAmounts;
+  if (testMode) {
+    amount = 0;
+  }
+
+  const quota = apiKeyData.end_user?.quota;
+  const keyBudget = apiKeyData.budget && apiKeyData.budget.limit !== null ? apiKeyData.budget : null;
+  const clientTokenBudget = apiKeyData.client_token?.budget || null;
+  const usageIds = await reserveApiUsage(apiKeyData.user_id, apiKeyData.id, endpoint, amounts, {
+    clientTokenId: apiKeyData.client_token?.id || null,
+    endUserId: apiKeyData.end_user?.id || null,
+    keyBudget: keyBudget && { limit: keyBudget.limit, since: keyBudget.since },
+    clientTokenBudget: clientTokenBudget && { limit: clientTokenBudget.limit },
+    endUserQuota: quota && { requests: quota.requests.limit, tokens: quota.tokens.limit, since: quota.since, test: quota.test }
+  });
+
+  if (!usageIds) {
+    return { reservation: null, overBudget: await reloadLimits(apiKeyData, amount, amounts.length) };
+  }
+
+  if (!testMode) {
+    const result = await deductToken(apiKeyData.user_id, amount);
+
+    if (result.rowsAffected === 0) {
+      await deleteApiUsage(usageIds);
+      return { reservation: null };
+    }
+  }
+
+  const budgets = [apiKeyData.budget, clientTokenBudget, quota?.tokens].filter(Boolean);
+  const requestQuota = quota ? [quota.requests] : [];
+  adjustBudgets(budgets, amount);
+  adjustBudgets(requestQuota, 1);
+
+  return {
+    reservation: {
+      userId: apiKeyData.user_id,
+      apiKeyId: apiKeyData.id,
+      clientTokenId: apiKeyData.client_token?.id || null,
+      endUserId: apiKeyData.end_user?.id || null,
+      endpoint,
+      amount,
+      usageId: usageIds[0],
+      usageIds,
+      budgets,
+      requestQuota,
+      settled: false
+    }
+  };
+}
+
+// Reload the key's budget and the end user's quota after a reservation was turned down, so the answer shows
+// what other requests have used - returns { status, headers, body }
+async function reloadLimits(apiKeyData, amount, requests) {
+  if (apiKeyData.budget) {
+    apiKeyData.budget = await loadKeyBudget(apiKeyData);
+  }
+  const endUser = apiKeyData.end_user;
+  if (endUser?.quota) {
+    endUser.quota = await loadEndUserQuota(apiKeyData, apiKeyData.user_id, endUser.id, { test: endUser.quota.test });
+  }
+
+  return checkKeyBudget(apiKeyData, amount) || checkEndUserQuota(apiKeyData, amount, requests) || {
+    status: 429,
+    headers: { 'Retry-After': '1' },
+    body: {
+      success: false,
+      error: 'Budget in use',
+      message: 'Requests still running have reserved the rest of the budget or quota. Try again when they finish.',
+      retry_after_seconds: 1
+    }
+  };
+}
+
+// Count tokens (or requests) against, or back to, the budgets and quotas loaded for this request or stream session
+function adjustBudgets(budgets, amount) {
+  for (const budget of budgets) {
+    budget.spent += amount;
+    if (budget.limit !== null) {
+      budget.remaining = Math.max(budget.limit - budget.spent, 0);
+    }
+  }
+}
+
+// Split a reservation into parts that are committed or refunded independently (batch items)
+// amounts lists the tokens of each part, as passed to reserveTokens as itemAmounts
+function splitReservation(reservation, amounts) {
+  reservation.settled = true;
+  // Every part is a billed request of its own
+  adjustBudgets(reservation.requestQuota, amounts.length - 1);
+
+  return amounts.map((amount, index) => ({
+    userId: reservation.userId,
+    apiKeyId: reservation.apiKeyId,
+    clientTokenId: reservation.clientTokenId,
+    endUserId: reservation.endUserId,
+    endpoint: reservation.endpoint,
+    amount: reservation.amount === 0 ? 0 : amount,
+    usageId: reservation.usageIds[index],
+    budgets: reservation.budgets,
+    requestQuota: reservation.requestQuota,
+    settled: false
+  }));
+}
+
+// Commit a reservation once the backend call succeeded
+// The api_usage row id is kept on the reservation (generation history links to it)
+async function commitReservation(reservation) {
+  if (!reservation || reservation.settled) {
+    return;
+  }
+  reservation.settled = true;
+
+  await settleApiUsage(reservation.usageId, 'success');
+}
+
+// Give reserved tokens back after a backend error or timeout (recorded in api_usage as a refund)
+// A reservation rebuilt without its api_usage row (an interrupted job from before rows were reserved) logs a new row
+async function refundReservation(reservation) {
+  if (!reservation || reservation.settled) {
+    return 0;
+  }
+  reservation.settled = true;
+
+  if (reservation.usageId) {
+    // The row and the balance change together, so a refund can't be credited twice
+    if (!(await refundApiUsage(reservation.usageId, reservation.userId, reservation.amount))) {
+      return 0;
+    }
+  } else {
+    if (reservation.amount > 0) {
+      await addTokensToUser(reservation.amount, reservation.userId);
+    }
+    await logApiUsage(reservation.userId, reservation.apiKeyId, reservation.endpoint, reservation.amount, 'refund', {
+      clientTokenId: reservation.clientTokenId,
+      endUserId: reservation.endUserId
+    });
+  }
+  adjustBudgets(reservation.budgets || [], -reservation.amount);
+  adjustBudgets(reservation.requestQuota || [], -1);
+
+  return reservation.amount;
+}
+
+module.exports = {
+  reserveTokens,
+  splitReservation,
+  commitReservation,
+  refundReservation
+};
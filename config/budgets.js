@@ -0,0 +1,143 @@
+// API key budgets - an optional token cap per key, for its whole life or per day / month (UTC)
+// Spend is what the key's committed and running requests cost (api_usage 'success' and 'pending' rows); refunded
+// requests don't count
+const { getApiKeySpend } = require('./database');
+
+const BUDGET_PERIODS = ['total', 'day', 'month'];
+
+// Start of the key's current budget period and when it resets (null for a total budget)
+function getBudgetWindow(period, now = new Date()) {
+  if (period === 'day') {
+    const start = new Date(Date.UTC(now.getUTCFullYear(), now.getUTCMonth(), now.getUTCDate()));
+    return { start, resetsAt: new Date(start.getTime() + 24 * 60 * 60 * 1000) };
+  }
+  if (period === 'month') {
+    return {
+      start: new Date(Date.UTC(now.getUTCFullYear(), now.getUTCMonth(), 1)),
+      resetsAt: new Date(Date.UTC(now.getUTCFullYear(), now.getUTCMonth() + 1, 1))
+    };
+  }
+  return { start: null, resetsAt: null };
+}
+
+// Format a Date the way SQLite stores CURRENT_TIMESTAMP (UTC)
+function toSqlTimestamp(date) {
+  return date.toISOString().slice(0, 19).replace('T', ' ');
+}
+
+// Budget of a key (a row with token_budget and budget_period) and its spend in the current period
+// Keys without a budget report their spend over the period too (limit and remaining are null)
+async function loadKeyBudget(keyData) {
+  const period = BUDGET_PERIODS.includes(keyData.budget_period) ? keyData.budget_period : 'total';
+  const limit = keyData.token_budget ?? null;
+  const window = getBudgetWindow(period);
+  const since = window.start ? toSqlTimestamp(window.start) : null;
+  const spent = await getApiKeySpend(keyData.id, since);
+
+  return {
+    limit,
+    period,
+    spent,
+    remaining: limit === null ? null : Math.max(limit - spent, 0),
+    since,
+    resetsAt: window.resetsAt
+  };
+}
+
+// Check that a key's budget (and the budget of the client token it is used through) covers the given amount
+// Returns null when it does, or { status, headers, body }
+// A used-up total budget is a 402 (it never comes back), a day or month budget a 429 until the period resets
+function checkKeyBudget(keyData, amount) {
+  return checkBudget(keyData.budget, amount, 'API key', 'Raise the key\'s budget in the dashboard or use another key.')
+    || checkBudget(keyData.client_token?.budget, amount, 'client token', 'Ask your server for a new client token.');
+}
+
+// Check one budget - holder names what it belongs to in messages, advice says what to do about a used-up total budget
+function checkBudget(budget, amount, holder, advice) {
+  if (!budget || budget.limit === null || budget.remaining >= amount) {
+    return null;
+  }
+
+  const exhausted = budget.remaining < 1;
+  const holderTitle = holder.charAt(0).toUpperCase() + holder.slice(1);
+  const details = {
+    limit: `${holder.replace(' ', '_').toLowerCase()}_budget`,
+    limit_value: budget.limit,
+    budget_period: budget.period,
+    budget_spent: budget.spent,
+    budget_remaining: budget.remaining
+  };
+  const message = exhausted
+    ? `This ${holder} has used its ${describePeriod(budget.period)} budget of ${budget.limit} tokens.`
+    : `This request costs ${amount} token(s), but this ${holder} has only ${budget.remaining} of its ${describePeriod(budget.period)} budget of ${budget.limit} tokens left.`;
+
+  if (budget.period === 'total') {
+    return {
+      status: 402,
+      headers: {},
+      body: {
+        success: false,
+        error: exhausted ? `${holderTitle} budget exhausted` : `${holderTitle} budget exceeded`,
+        message: `${message} ${advice}`,
+        ...details
+      }
+    };
+  }
+
+  const retryAfter = Math.max(Math.ceil((budget.resetsAt.getTime() - Date.now()) / 1000), 1);
+  return {
+    status: 429,
+    headers: { 'Retry-After': String(retryAfter) },
+    body: {
+      success: false,
+      error: exhausted ? `${holderTitle} budget exhausted` : `${holderTitle} budget exceeded`,
+      message: `${message} The budget resets at ${budget.resetsAt.toISOString()}.`,
+      ...details,
+      budget_resets_at: budget.resetsAt.toISOString(),
+      retry_after_seconds: retryAfter
+    }
+  };
+}
+
+// Adjective for a budget period in messages
+function describePeriod(period) {
+  return { total: 'total', day: 'daily', month: 'monthly' }[period];
+}
+
+// Budget as shown in API responses
+function formatBudget(budget) {
+  return {
+    limit: budget.limit,
+    period: budget.period,
+    spent: budget.spent,
+    remaining: budget.remaining,
+    resets_at: budget.resetsAt ? budget.resetsAt.toISOString() : null
+  };
+}
+
+// Read a budget update ({ budget, period }) - returns { limit, period } or { error, message }
+// budget null (or '') removes the key's budget
+function parseBudgetInput(input) {
+  const period = input.period === undefined ? 'total' : input.period;
+  if (!BUDGET_PERIODS.includes(period)) {
+    return { error: 'Invalid period', message: `period must be one of: ${BUDGET_PERIODS.join(', ')}` };
+  }
+
+  if (input.budget === null || input.budget === undefined || input.budget === '') {
+    return { limit: null, period };
+  }
+
+  const limit = Number(input.budget);
+  if (!Number.isInteger(limit) || limit < 1) {
+    return { error: 'Invalid budget', message: 'budget must be a whole number of tokens (at least 1), or null for no budget' };
+  }
+  return { limit, period };
+}
+
+module.exports = {
+  BUDGET_PERIODS,
+  loadKeyBudget,
+  checkKeyBudget,
+  formatBudget,
+  parseBudgetInput
+};
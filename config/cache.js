@@ -0,0 +1,86 @@
+// Result cache - serves identical model requests (same inputs and parameters) from stored outputs
+const crypto = require('crypto');
+const {
+  getCachedResult,
+  recordCacheHit,
+  storeCachedResult,
+  trimResultCache
+} = require('./database');
+
+// Defaults for the per-model `cache` settings in config/models.js
+const CACHE_DEFAULTS = {
+  ttlSeconds: 24 * 60 * 60,      // 24 hours
+  maxBytes: 100 * 1024 * 1024,   // 100MB per model
+  tokensPerHit: 0
+};
+
+// Check whether a model has the cache turned on
+function isCacheEnabled(model) {
+  return Boolean(model.cache?.enabled);
+}
+
+// Effective cache settings of a model
+function getCacheSettings(model) {
+  return { ...CACHE_DEFAULTS, ...model.cache };
+}
+
+// Hash of the model id, version, input file bytes and normalized (validated) parameters
+function computeCacheKey(model, files, params) {
+  const hash = crypto.createHash('sha256');
+  hash.update(`${model.id}\n${model.version}\n`);
+
+  for (const name of Object.keys(files || {}).sort()) {
+    for (const file of files[name]) {
+      hash.update(`${name}:${file.size}:`).update(file.buffer).update('\n');
+    }
+  }
+
+  for (const name of Object.keys(params || {}).sort()) {
+    hash.update(`${name}=${JSON.stringify(params[name])}\n`);
+  }
+
+  return hash.digest('hex');
+}
+
+// Look up a cached result ({ contentType, body } or null) - a cache failure is treated as a miss
+async function lookupResult(cacheKey) {
+  let row;
+  try {
+    row = await getCachedResult(cacheKey);
+  } catch (error) {
+    console.error('Cache lookup failed:', error);
+    return null;
+  }
+
+  if (!row) {
+    return null;
+  }
+
+  recordCacheHit(cacheKey).catch(error => console.error('Cache hit update failed:', error));
+
+  return {
+    contentType: row.content_type,
+    body: Buffer.from(row.body)
+  };
+}
+
+// Store a result and keep the model's cache within its size limit
+async function storeResult(model, cacheKey, result) {
+  const settings = getCacheSettings(model);
+
+  // Results larger than the whole cache are never stored
+  if (result.body.length > settings.maxBytes) {
+    return;
+  }
+
+  await storeCachedResult(cacheKey, model.id, result.contentType, result.body, Math.round(settings.ttlSeconds));
+  await trimResultCache(model.id, settings.maxBytes);
+}
+
+module.exports = {
+  isCacheEnabled,
+  getCacheSettings,
+  computeCacheKey,
+  lookupResult,
+  storeResult
+};
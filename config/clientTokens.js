@@ -0,0 +1,193 @@
+// Client tokens - short-lived signed tokens that game builds and browsers use instead of a secret API key
+// The developer's server exchanges its key for a token limited to some models, a token budget and an end user.
+// Tokens are JWTs (ct_ prefix) and aren't stored - revoking or rotating the key they were issued for ends them too.
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+const { getModelById } = require('./models');
+const { getClientTokenSpend } = require('./database');
+const { parseEndUserId } = require('./endUsers');
+
+const CLIENT_TOKEN_PREFIX = 'ct_';
+const CLIENT_TOKEN_AUDIENCE = 'client-token';
+
+// Lifetime of a token, in seconds
+const DEFAULT_TTL_SECONDS = parseInt(process.env.CLIENT_TOKEN_TTL_SECONDS) || 15 * 60;
+const MAX_TTL_SECONDS = 24 * 60 * 60;
+
+// Tokens are signed with a secret of their own, so a client token can never pass for a login session token
+function getSigningSecret() {
+  return process.env.CLIENT_TOKEN_SECRET;
+}
+
+// Check at startup that CLIENT_TOKEN_SECRET is set and differs from the session secrets - throws when it isn't
+function checkClientTokenSecret() {
+  const secret = process.env.CLIENT_TOKEN_SECRET;
+  if (!secret) {
+    throw new Error('CLIENT_TOKEN_SECRET is not set. Client tokens need a signing secret of their own.');
+  }
+  if (secret === process.env.JWT_SECRET || secret === process.env.SESSION_SECRET) {
+    throw new Error('CLIENT_TOKEN_SECRET must differ from JWT_SECRET and SESSION_SECRET.');
+  }
+}
+
+// Is this credential a client token rather than an API key?
+function isClientToken(credential) {
+  return typeof credential === 'string' && credential.startsWith(CLIENT_TOKEN_PREFIX);
+}
+
+// Parse a SQLite timestamp (UTC)
+function parseTimestamp(value) {
+  return value ? new Date(`${String(value).replace(' ', 'T')}Z`) : null;
+}
+
+// Read a token request ({ models, budget, end_user_id, expires_in }) for a key (keyData from getApiKeyByHash)
+// Returns { claims, expiresIn } or { error, message }
+function parseClientTokenRequest(input, keyData) {
+  const models = Array.isArray(input.models) ? input.models : (input.models ? String(input.models).split(',') : []);
+  const modelIds = [...new Set(models.map(model => String(model).trim()).filter(Boolean))];
+
+  const unknownModels = modelIds.filter(modelId => !getModelById(modelId));
+  if (unknownModels.length > 0) {
+    return { error: 'Invalid client token request', message: `Unknown model(s) in models: ${unknownModels.join(', ')}` };
+  }
+
+  // A token can only narrow the key's own model scope
+  const keyModels = keyData.allowed_models ? JSON.parse(keyData.allowed_models) : [];
+  if (keyModels.length > 0) {
+    const outsideKey = modelIds.filter(modelId => !keyModels.includes(modelId));
+    if (outsideKey.length > 0) {
+      return { error: 'Invalid client token request', message: `This API key can't use: ${outsideKey.join(', ')}` };
+    }
+  }
+
+  let budget = null;
+  if (input.budget !== undefined && input.budget !== null && input.budget !== '') {
+    budget = Number(input.budget);
+    if (!Number.isInteger(budget) || budget < 1) {
+      return { error: 'Invalid client token request', message: 'budget must be a whole number of tokens (at least 1), or null for no budget' };
+    }
+  }
+
+  const endUser = parseEndUserId(input.end_user_id);
+  if (endUser.error) {
+    return { error: 'Invalid client token request', message: endUser.message };
+  }
+
+  let expiresIn = DEFAULT_TTL_SECONDS;
+  if (input.expires_in !== undefined && input.expires_in !== null && input.expires_in !== '') {
+    expiresIn = Number(input.expires_in);
+    if (!Number.isInteger(expiresIn) || expiresIn < 1 || expiresIn > MAX_TTL_SECONDS) {
+      return { error: 'Invalid client token request', message: `expires_in must be between 1 and ${MAX_TTL_SECONDS} seconds` };
+    }
+  }
+
+  // Never outlive the key (its expiry, or the end of its rotation grace period)
+  for (const end of [parseTimestamp(keyData.expires_at), parseTimestamp(keyData.grace_ends_at)]) {
+    if (end) {
+      expiresIn = Math.min(expiresIn, Math.floor((end.getTime() - Date.now()) / 1000));
+    }
+  }
+  if (expiresIn < 1) {
+    return { error: 'Invalid client token request', message: 'This API key stops working too soon to issue a client token' };
+  }
+
+  return {
+    claims: { key: keyData.id, models: modelIds, budget, end_user_id: endUser.endUserId },
+    expiresIn
+  };
+}
+
+// Sign a token for claims from parseClientTokenRequest - returns { token, id, expiresAt }
+function issueClientToken(claims, expiresIn) {
+  const id = crypto.randomBytes(12).toString('hex');
+  const token = jwt.sign(claims, getSigningSecret(), {
+    audience: CLIENT_TOKEN_AUDIENCE,
+    jwtid: id,
+    expiresIn
+  });
+
+  return {
+    token: `${CLIENT_TOKEN_PREFIX}${token}`,
+    id,
+    expiresAt: new Date(jwt.decode(token).exp * 1000)
+  };
+}
+
+// Check a client token's signature and expiry - returns { claims } or { status, body }
+function verifyClientToken(credential) {
+  try {
+    const claims = jwt.verify(credential.slice(CLIENT_TOKEN_PREFIX.length), getSigningSecret(), {
+      audience: CLIENT_TOKEN_AUDIENCE
+    });
+    return { claims };
+  } catch (error) {
+    const expired = error.name === 'TokenExpiredError';
+    return {
+      status: 401,
+      body: {
+        success: false,
+        error: expired ? 'Client token expired' : 'Invalid client token',
+        message: expired
+          ? `This client token expired at ${error.expiredAt.toISOString()}. Ask your server for a new one.`
+          : 'The provided client token is invalid'
+      }
+    };
+  }
+}
+
+// Key data for a request made with a client token (keyData of the key it was issued for)
+// The token's models replace the key's model scope; the key's IP and Origin scopes are for the secret key
+// (the developer's server), not for the players using the token
+async function applyClientToken(keyData, claims) {
+  const clientToken = {
+    id: claims.jti,
+    end_user_id: claims.end_user_id || null,
+    expires_at: new Date(claims.exp * 1000),
+    budget: null
+  };
+
+  // Budget spent so far, in the shape of a key budget (see config/budgets.js) - a token's budget is for its whole life
+  // Loaded on every request, so GET /usage can show it too
+  if (claims.budget) {
+    const spent = await getClientTokenSpend(claims.jti);
+    clientToken.budget = {
+      limit: claims.budget,
+      period: 'total',
+      spent,
+      remaining: Math.max(claims.budget - spent, 0),
+      resetsAt: null
+    };
+  }
+
+  return {
+    ...keyData,
+    allowed_models: claims.models.length > 0 ? JSON.stringify(claims.models) : keyData.allowed_models,
+    allowed_ips: null,
+    allowed_origins: null,
+    client_token: clientToken
+  };
+}
+
+// Client token as shown in API responses
+function formatClientToken(issued, claims) {
+  return {
+    client_token: issued.token,
+    expires_at: issued.expiresAt.toISOString(),
+    models: claims.models.length > 0 ? claims.models : null,
+    budget: claims.budget,
+    end_user_id: claims.end_user_id
+  };
+}
+
+module.exports = {
+  CLIENT_TOKEN_PREFIX,
+  DEFAULT_TTL_SECONDS,
+  MAX_TTL_SECONDS,
+  checkClientTokenSecret,
+  isClientToken,
+  parseClientTokenRequest,
+  issueClientToken,
+  verifyClientToken,
+  applyClientToken,
+  formatClientToken
+};
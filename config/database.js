@@ -7,6 +7,27 @@ const db = createClient({
   authToken: process.env.TURSO_AUTH_TOKEN,
 });
 
+// Add a column to an existing table (CREATE TABLE IF NOT EXISTS won't update older databases)
+async function ensureColumn(table, column, definition) {
+  const result = await db.execute(`PRAGMA table_info(${table})`);
+  if (!result.rows.some(row => row.name === column)) {
+    await db.execute(`ALTER TABLE ${table} ADD COLUMN ${column} ${definition}`);
+  }
+}
+
+// Columns of an API key and its owner read when authenticating a request
+const API_KEY_AUTH_COLUMNS = `ak.id, ak.user_id, ak.key_hash, ak.key_prefix, ak.name, ak.is_active,
+            ak.last_used_at, ak.created_at, COALESCE(ak.pinned_at, ak.created_at) as pinned_at, ak.token_budget, ak.budget_period,
+            ak.allowed_models, ak.read_only, ak.allowed_ips, ak.allowed_origins, ak.expires_at,
+            ak.grace_ends_at, ak.mode, (SELECT r.key_prefix FROM api_keys r WHERE r.id = ak.replaced_by) as replacement_prefix,
+            u.tokens, u.subscription_tier, u.subscription_status,
+            u.rate_limit_per_minute, u.max_concurrent_requests,
+            u.end_user_quota_requests, u.end_user_quota_tokens, u.end_user_quota_period`;
+
+// Ids of the keys in the rotation chain of a key (bind its id) - a chain shares one budget
+const ROTATION_CHAIN_KEYS = `SELECT id FROM api_keys
+            WHERE COALESCE(rotation_root_id, id) = (SELECT COALESCE(rotation_root_id, id) FROM api_keys WHERE id = ?)`;
+
 // Initialize database schema
 async function initializeDatabase() {
   try {
@@ -55,17 +76,193 @@ async function initializeDatabase() {
         api_key_id INTEGER NOT NULL,
         endpoint TEXT NOT NULL,
         tokens_used INTEGER DEFAULT 1,
+        status TEXT DEFAULT 'success',
+        created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+        FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE,
+        FOREIGN KEY (api_key_id) REFERENCES api_keys(id) ON DELETE CASCADE
+      )
+    `);
+
+    // Jobs table - asynchronous model requests and their results
+    await db.execute(`
+      CREATE TABLE IF NOT EXISTS jobs (
+        id TEXT PRIMARY KEY,
+        user_id INTEGER NOT NULL,
+        api_key_id INTEGER NOT NULL,
+        model_id TEXT NOT NULL,
+        endpoint TEXT NOT NULL,
+        status TEXT DEFAULT 'queued',
+        tokens_reserved INTEGER DEFAULT 0,
+        callback_url TEXT DEFAULT NULL,
+        result BLOB DEFAULT NULL,
+        result_content_type TEXT DEFAULT NULL,
+        error TEXT DEFAULT NULL,
         created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+        started_at DATETIME DEFAULT NULL,
+        completed_at DATETIME DEFAULT NULL,
         FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE,
         FOREIGN KEY (api_key_id) REFERENCES api_keys(id) ON DELETE CASCADE
       )
     `);
 
+    // Idempotency keys table - stored outcomes of billable requests, replayed on retries
+    await db.execute(`
+      CREATE TABLE IF NOT EXISTS idempotency_keys (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        api_key_id INTEGER NOT NULL,
+        idempotency_key TEXT NOT NULL,
+        request_hash TEXT NOT NULL,
+        status TEXT DEFAULT 'in_progress',
+        response_status INTEGER DEFAULT NULL,
+        response_headers TEXT DEFAULT NULL,
+        response_body BLOB DEFAULT NULL,
+        created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+        expires_at DATETIME NOT NULL,
+        UNIQUE (api_key_id, idempotency_key),
+        FOREIGN KEY (api_key_id) REFERENCES api_keys(id) ON DELETE CASCADE
+      )
+    `);
+
+    // Result cache table - model outputs keyed by a hash of the model, inputs and parameters
+    await db.execute(`
+      CREATE TABLE IF NOT EXISTS result_cache (
+        cache_key TEXT PRIMARY KEY,
+        model_id TEXT NOT NULL,
+        content_type TEXT NOT NULL,
+        body BLOB NOT NULL,
+        size_bytes INTEGER NOT NULL,
+        hits INTEGER DEFAULT 0,
+        created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+        expires_at DATETIME NOT NULL
+      )
+    `);
+
+    // Generations table - stored inputs, parameters and outputs of model calls (blobs live in config/storage.js)
+    await db.execute(`
+      CREATE TABLE IF NOT EXISTS generations (
+        id TEXT PRIMARY KEY,
+        user_id INTEGER NOT NULL,
+        api_key_id INTEGER NOT NULL,
+        usage_id INTEGER DEFAULT NULL,
+        model_id TEXT NOT NULL,
+        model_version TEXT NOT NULL,
+        endpoint TEXT NOT NULL,
+        params TEXT NOT NULL,
+        inputs TEXT NOT NULL,
+        output_key TEXT NOT NULL,
+        output_content_type TEXT NOT NULL,
+        output_size INTEGER NOT NULL,
+        tokens_used INTEGER DEFAULT 0,
+        created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+        expires_at DATETIME NOT NULL,
+        FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE,
+        FOREIGN KEY (api_key_id) REFERENCES api_keys(id) ON DELETE CASCADE,
+        FOREIGN KEY (usage_id) REFERENCES api_usage(id) ON DELETE SET NULL
+      )
+    `);
+
+    // Presets table - named request parameters saved by users (curated presets live in config/presets.js)
+    await db.execute(`
+      CREATE TABLE IF NOT EXISTS presets (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        user_id INTEGER NOT NULL,
+        model_id TEXT NOT NULL,
+        name TEXT NOT NULL,
+        description TEXT DEFAULT NULL,
+        params TEXT NOT NULL,
+        created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+        updated_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+        UNIQUE (user_id, model_id, name),
+        FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE
+      )
+    `);
+
+    // Shared state - rate limit counters, concurrency slots and scheduler locks shared by every server instance (STATE_STORE=libsql)
+    // Expiry times are epoch milliseconds
+    await db.execute(`
+      CREATE TABLE IF NOT EXISTS shared_counters (
+        key TEXT PRIMARY KEY,
+        count INTEGER NOT NULL,
+        expires_at INTEGER NOT NULL
+      )
+    `);
+
+    await db.execute(`
+      CREATE TABLE IF NOT EXISTS shared_locks (
+        name TEXT PRIMARY KEY,
+        owner TEXT NOT NULL,
+        expires_at INTEGER NOT NULL
+      )
+    `);
+
+    // Leased slots - each holder has its own row, so a slot whose holder stopped renewing it runs out on its own
+    await db.execute(`
+      CREATE TABLE IF NOT EXISTS shared_slots (
+        slot_group TEXT NOT NULL,
+        slot_id TEXT NOT NULL,
+        expires_at INTEGER NOT NULL,
+        PRIMARY KEY (slot_group, slot_id)
+      )
+    `);
+
+    // Columns added after the first release
+    await ensureColumn('api_usage', 'status', "TEXT DEFAULT 'success'"); // 'success', 'refund', or 'pending' while it runs
+    await ensureColumn('users', 'rate_limit_per_minute', 'INTEGER DEFAULT NULL');   // NULL = the tier's limit
+    await ensureColumn('users', 'max_concurrent_requests', 'INTEGER DEFAULT NULL'); // NULL = the tier's limit
+    await ensureColumn('users', 'end_user_quota_requests', 'INTEGER DEFAULT NULL'); // per end user and period, NULL = no limit
+    await ensureColumn('users', 'end_user_quota_tokens', 'INTEGER DEFAULT NULL');   // per end user and period, NULL = no limit
+    await ensureColumn('users', 'end_user_quota_period', "TEXT DEFAULT 'day'");     // 'day' or 'month'
+    await ensureColumn('api_keys', 'token_budget', 'INTEGER DEFAULT NULL');         // NULL = no budget
+    await ensureColumn('api_keys', 'budget_period', "TEXT DEFAULT 'total'");        // 'total', 'day' or 'month'
+    await ensureColumn('api_keys', 'allowed_models', 'TEXT DEFAULT NULL');          // JSON array, NULL = every model
+    await ensureColumn('api_keys', 'read_only', 'INTEGER DEFAULT 0');
+    await ensureColumn('api_keys', 'allowed_ips', 'TEXT DEFAULT NULL');             // JSON array of IPs/CIDR ranges
+    await ensureColumn('api_keys', 'allowed_origins', 'TEXT DEFAULT NULL');         // JSON array of origins
+    await ensureColumn('api_keys', 'expires_at', 'DATETIME DEFAULT NULL');
+    await ensureColumn('api_keys', 'rotated_from', 'INTEGER DEFAULT NULL');         // key this one replaced
+    await ensureColumn('api_keys', 'replaced_by', 'INTEGER DEFAULT NULL');          // replacement issued by a rotation
+    await ensureColumn('api_keys', 'rotated_at', 'DATETIME DEFAULT NULL');
+    await ensureColumn('api_keys', 'grace_ends_at', 'DATETIME DEFAULT NULL');       // a rotated key stops working here
+    await ensureColumn('api_keys', 'deactivated_at', 'DATETIME DEFAULT NULL');
+    await ensureColumn('api_keys', 'mode', "TEXT DEFAULT 'live'");                  // 'live' or 'test' (sk_test_ keys)
+    await ensureColumn('api_keys', 'pinned_at', 'DATETIME DEFAULT NULL');           // picks the default model versions, NULL = created_at
+    await ensureColumn('api_keys', 'rotation_root_id', 'INTEGER DEFAULT NULL');     // first key of its rotation chain, NULL = this key
+    await ensureColumn('api_usage', 'is_test', 'INTEGER DEFAULT 0');                // 1 = made with a test key
+    await ensureColumn('api_usage', 'client_token_id', 'TEXT DEFAULT NULL');        // id of the client token used, if any
+    await ensureColumn('api_usage', 'end_user_id', 'TEXT DEFAULT NULL');            // X-End-User-Id, or the client token's end user
+    await ensureColumn('jobs', 'instance_id', 'TEXT DEFAULT NULL');                 // server instance running the job
+    await ensureColumn('jobs', 'lease_expires_at', 'DATETIME DEFAULT NULL');        // renewed while it runs, NULL = an old row
+    await ensureColumn('jobs', 'usage_id', 'INTEGER DEFAULT NULL');                 // pending api_usage row of its reservation
+    await ensureColumn('jobs', 'client_token_id', 'TEXT DEFAULT NULL');             // id of the client token that started it, if any
+    await ensureColumn('jobs', 'end_user_id', 'TEXT DEFAULT NULL');                 // end user it was started for, if any
+
+    // Keys rotated before rotation chains were recorded join the chain of the first key they descend from
+    await db.execute(`
+      UPDATE api_keys SET rotation_root_id = (
+        WITH RECURSIVE ancestors(id, rotated_from) AS (
+          SELECT k.id, k.rotated_from FROM api_keys k WHERE k.id = api_keys.rotated_from
+          UNION ALL
+          SELECT k.id, k.rotated_from FROM api_keys k JOIN ancestors a ON k.id = a.rotated_from
+        )
+        SELECT id FROM ancestors WHERE rotated_from IS NULL
+      )
+      WHERE rotated_from IS NOT NULL AND rotation_root_id IS NULL
+    `);
+
     // Create indexes for better performance
     await db.execute(`CREATE INDEX IF NOT EXISTS idx_users_email ON users(email)`);
     await db.execute(`CREATE INDEX IF NOT EXISTS idx_api_keys_user_id ON api_keys(user_id)`);
     await db.execute(`CREATE INDEX IF NOT EXISTS idx_api_keys_hash ON api_keys(key_hash)`);
     await db.execute(`CREATE INDEX IF NOT EXISTS idx_api_usage_user_id ON api_usage(user_id)`);
+    await db.execute(`CREATE INDEX IF NOT EXISTS idx_api_usage_user_created ON api_usage(user_id, created_at)`);
+    await db.execute(`CREATE INDEX IF NOT EXISTS idx_api_usage_key_created ON api_usage(api_key_id, created_at)`);
+    await db.execute(`CREATE INDEX IF NOT EXISTS idx_api_usage_client_token ON api_usage(client_token_id)`);
+    await db.execute(`CREATE INDEX IF NOT EXISTS idx_api_usage_end_user ON api_usage(user_id, end_user_id, created_at)`);
+    await db.execute(`CREATE INDEX IF NOT EXISTS idx_jobs_user_id ON jobs(user_id)`);
+    await db.execute(`CREATE INDEX IF NOT EXISTS idx_jobs_status ON jobs(status)`);
+    await db.execute(`CREATE INDEX IF NOT EXISTS idx_result_cache_model ON result_cache(model_id, created_at)`);
+    await db.execute(`CREATE INDEX IF NOT EXISTS idx_generations_user ON generations(user_id, created_at)`);
+    await db.execute(`CREATE INDEX IF NOT EXISTS idx_generations_expires ON generations(expires_at)`);
 
     console.log('✓ Turso database initialized successfully');
   } catch (error) {
@@ -74,6 +271,16 @@ async function initializeDatabase() {
   }
 }
 
+// Usage report dimensions - the only column expressions getUserUsageStats puts into its SQL
+const USAGE_GROUP_COLUMNS = {
+  day: { select: 'DATE(u.created_at) as day', group: 'day' },
+  api_key: { select: 'u.api_key_id, k.name as api_key_name, k.key_prefix as api_key_prefix', group: 'u.api_key_id' },
+  endpoint: { select: 'u.endpoint', group: 'u.endpoint' },
+  status: { select: 'u.status', group: 'u.status' },
+  mode: { select: "CASE WHEN u.is_test = 1 THEN 'test' ELSE 'live' END as mode", group: 'u.is_test' },
+  end_user: { select: 'u.end_user_id', group: 'u.end_user_id' }
+};
+
 // Database helper functions
 const dbHelpers = {
   // User operations
@@ -127,10 +334,19 @@ const dbHelpers = {
     return result;
   },
 
-  async deductToken(id) {
+  async updateUserLimits(requestsPerMinute, maxConcurrentRequests, id) {
     const result = await db.execute({
-      sql: 'UPDATE users SET tokens = tokens - 1, updated_at = CURRENT_TIMESTAMP WHERE id = ? AND tokens > 0',
-      args: [id]
+      sql: `UPDATE users SET rate_limit_per_minute = ?, max_concurrent_requests = ?,
+            updated_at = CURRENT_TIMESTAMP WHERE id = ?`,
+      args: [requestsPerMinute, maxConcurrentRequests, id]
+    });
+    return result;
+  },
+
+  async deductToken(id, amount = 1) {
+    const result = await db.execute({
+      sql: 'UPDATE users SET tokens = tokens - ?, updated_at = CURRENT_TIMESTAMP WHERE id = ? AND tokens >= ?',
+      args: [amount, id, amount]
     });
     return result;
   },
@@ -205,18 +421,32 @@ const dbHelpers = {
   },
 
   // API Key operations
-  async createApiKey(userId, keyHash, keyPrefix, name) {
+  // scopes come from parseKeyScopes (config/keyScopes.js) - empty lists are stored as NULL
+  // mode is 'live' or 'test' (see config/testMode.js)
+  async createApiKey(userId, keyHash, keyPrefix, name, scopes = {}, mode = 'live') {
+    const list = (values) => values && values.length > 0 ? JSON.stringify(values) : null;
     const result = await db.execute({
-      sql: 'INSERT INTO api_keys (user_id, key_hash, key_prefix, name) VALUES (?, ?, ?, ?)',
-      args: [userId, keyHash, keyPrefix, name]
+      sql: `INSERT INTO api_keys (user_id, key_hash, key_prefix, name, mode, allowed_models, read_only, allowed_ips, allowed_origins, expires_at)
+            VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+      args: [
+        userId,
+        keyHash,
+        keyPrefix,
+        name,
+        mode,
+        list(scopes.allowedModels),
+        scopes.readOnly ? 1 : 0,
+        list(scopes.allowedIps),
+        list(scopes.allowedOrigins),
+        scopes.expiresAt || null
+      ]
     });
     return result;
   },
 
   async getApiKeyByHash(keyHash) {
     const result = await db.execute({
-      sql: `SELECT ak.id, ak.user_id, ak.key_hash, ak.key_prefix, ak.name, ak.is_active,
-            ak.last_used_at, ak.created_at, u.tokens, u.subscription_tier, u.subscription_status
+      sql: `SELECT ${API_KEY_AUTH_COLUMNS}
             FROM api_keys ak JOIN users u ON ak.user_id = u.id
             WHERE ak.key_hash = ? AND ak.is_active = 1`,
       args: [keyHash]
@@ -224,9 +454,22 @@ const dbHelpers = {
     return result.rows[0];
   },
 
+  // Same as getApiKeyByHash, for the key a client token was issued for
+  async getActiveApiKeyById(id) {
+    const result = await db.execute({
+      sql: `SELECT ${API_KEY_AUTH_COLUMNS}
+            FROM api_keys ak JOIN users u ON ak.user_id = u.id
+            WHERE ak.id = ? AND ak.is_active = 1`,
+      args: [id]
+    });
+    return result.rows[0];
+  },
+
   async getUserApiKeys(userId) {
     const result = await db.execute({
-      sql: `SELECT id, key_prefix, name, is_active, last_used_at, created_at
+      sql: `SELECT id, key_prefix, name, is_active, last_used_at, created_at, token_budget, budget_period,
+            allowed_models, read_only, allowed_ips, allowed_origins, expires_at,
+            rotated_from, replaced_by, rotated_at, grace_ends_at, deactivated_at, mode
             FROM api_keys WHERE user_id = ? ORDER BY created_at DESC`,
       args: [userId]
     });
@@ -235,12 +478,128 @@ const dbHelpers = {
 
   async deactivateApiKey(id, userId) {
     const result = await db.execute({
-      sql: 'UPDATE api_keys SET is_active = 0 WHERE id = ? AND user_id = ?',
+      sql: 'UPDATE api_keys SET is_active = 0, deactivated_at = CURRENT_TIMESTAMP WHERE id = ? AND user_id = ? AND is_active = 1',
       args: [id, userId]
     });
     return result;
   },
 
+  async renameApiKey(id, userId, name) {
+    const result = await db.execute({
+      sql: 'UPDATE api_keys SET name = ? WHERE id = ? AND user_id = ?',
+      args: [name, id, userId]
+    });
+    return result;
+  },
+
+  // Rotate a key in one write transaction: claim it (only one rotation can), create its replacement - same name, mode,
+  // scopes, budget and pinned model versions, in the same rotation chain - then link the two and start the old key's
+  // grace period (0 deactivates it now). newKey(mode) returns the replacement's { keyHash, keyPrefix }.
+  // Resolves to the replacement's id, or null when the key is not found, revoked or already rotated
+  async rotateApiKey(id, userId, graceSeconds, newKey) {
+    const tx = await db.transaction('write');
+    try {
+      const claimed = await tx.execute({
+        sql: `UPDATE api_keys SET rotated_at = CURRENT_TIMESTAMP
+              WHERE id = ? AND user_id = ? AND is_active = 1 AND rotated_at IS NULL
+              RETURNING mode`,
+        args: [id, userId]
+      });
+      if (claimed.rows.length === 0) {
+        await tx.rollback();
+        return null;
+      }
+
+      const { keyHash, keyPrefix } = newKey(claimed.rows[0].mode);
+      const created = await tx.execute({
+        sql: `INSERT INTO api_keys (user_id, key_hash, key_prefix, name, mode, token_budget, budget_period,
+              allowed_models, read_only, allowed_ips, allowed_origins, expires_at, pinned_at, rotated_from, rotation_root_id)
+              SELECT user_id, ?, ?, name, mode, token_budget, budget_period,
+              allowed_models, read_only, allowed_ips, allowed_origins, expires_at, COALESCE(pinned_at, created_at), id,
+              COALESCE(rotation_root_id, id)
+              FROM api_keys WHERE id = ?`,
+        args: [keyHash, keyPrefix, id]
+      });
+      const newId = Number(created.lastInsertRowid);
+
+      await tx.execute({
+        sql: `UPDATE api_keys SET replaced_by = ?, grace_ends_at = datetime('now', '+' || ? || ' seconds') WHERE id = ?`,
+        args: [newId, graceSeconds, id]
+      });
+      if (graceSeconds === 0) {
+        await tx.execute({
+          sql: 'UPDATE api_keys SET is_active = 0, deactivated_at = CURRENT_TIMESTAMP WHERE id = ?',
+          args: [id]
+        });
+      }
+
+      await tx.commit();
+      return newId;
+    } finally {
+      tx.close();
+    }
+  },
+
+  // Deactivate rotated keys whose grace period is over (cleanup scheduler)
+  async deactivateRotatedApiKeys() {
+    const result = await db.execute(`
+      UPDATE api_keys SET is_active = 0, deactivated_at = CURRENT_TIMESTAMP
+      WHERE is_active = 1 AND grace_ends_at <= datetime('now')
+    `);
+    return result;
+  },
+
+  // Set or remove (budget null) the token budget of one of the user's keys
+  // The budget is shared by its rotation chain, so a rotated key still in its grace period gets it too
+  async updateApiKeyBudget(id, userId, budget, period) {
+    const result = await db.execute({
+      sql: `UPDATE api_keys SET token_budget = ?, budget_period = ?
+            WHERE id IN (${ROTATION_CHAIN_KEYS}) AND user_id = ? AND is_active = 1
+            AND EXISTS (SELECT 1 FROM api_keys WHERE id = ? AND user_id = ? AND is_active = 1)`,
+      args: [budget, period, id, userId, id, userId]
+    });
+    return result;
+  },
+
+  // Tokens a key and the rest of its rotation chain spent since the given time ('YYYY-MM-DD HH:MM:SS', null for all time)
+  // Requests still running (pending) count as spend, refunds don't
+  async getApiKeySpend(apiKeyId, since) {
+    const result = await db.execute({
+      sql: `SELECT COALESCE(SUM(tokens_used), 0) as spent FROM api_usage
+            WHERE api_key_id IN (${ROTATION_CHAIN_KEYS}) AND status IN ('success', 'pending') AND (? IS NULL OR created_at >= ?)`,
+      args: [apiKeyId, since, since]
+    });
+    return Number(result.rows[0].spent);
+  },
+
+  async getClientTokenSpend(clientTokenId) {
+    const result = await db.execute({
+      sql: `SELECT COALESCE(SUM(tokens_used), 0) as spent FROM api_usage
+            WHERE client_token_id = ? AND status IN ('success', 'pending')`,
+      args: [clientTokenId]
+    });
+    return Number(result.rows[0].spent);
+  },
+
+  // Billed requests and tokens of one of the account's end users since the given time ('YYYY-MM-DD HH:MM:SS')
+  // Only test traffic or only live traffic counts, as picked by isTest
+  async getEndUserUsage(userId, endUserId, since, isTest) {
+    const result = await db.execute({
+      sql: `SELECT COUNT(*) as requests, COALESCE(SUM(tokens_used), 0) as tokens FROM api_usage
+            WHERE user_id = ? AND end_user_id = ? AND status IN ('success', 'pending') AND created_at >= ? AND is_test = ?`,
+      args: [userId, endUserId, since, isTest ? 1 : 0]
+    });
+    return { requests: Number(result.rows[0].requests), tokens: Number(result.rows[0].tokens) };
+  },
+
+  async updateEndUserQuota(userId, requests, tokens, period) {
+    const result = await db.execute({
+      sql: 'UPDATE users SET end_user_quota_requests = ?, end_user_quota_tokens = ?, end_user_quota_period = ? WHERE id = ?',
+      args: [requests, tokens, period, userId]
+    });
+    return result;
+  },
+
   async updateApiKeyLastUsed(id) {
     const result = await db.execute({
       sql: 'UPDATE api_keys SET last_used_at = CURRENT_TIMESTAMP WHERE id = ?',
@@ -250,20 +609,539 @@ const dbHelpers = {
   },
 
   // API Usage tracking
-  async logApiUsage(userId, apiKeyId, endpoint, tokensUsed) {
+  // Usage of a test key is flagged as test traffic (is_test)
+  // Requests made with a client token record its id, requests made for an end user record who it was
+  async logApiUsage(userId, apiKeyId, endpoint, tokensUsed, status = 'success', { clientTokenId = null, endUserId = null } = {}) {
     const result = await db.execute({
-      sql: 'INSERT INTO api_usage (user_id, api_key_id, endpoint, tokens_used) VALUES (?, ?, ?, ?)',
-      args: [userId, apiKeyId, endpoint, tokensUsed]
+      sql: `INSERT INTO api_usage (user_id, api_key_id, endpoint, tokens_used, status, client_token_id, end_user_id, is_test)
+            VALUES (?, ?, ?, ?, ?, ?, ?, COALESCE((SELECT mode = 'test' FROM api_keys WHERE id = ?), 0))`,
+      args: [userId, apiKeyId, endpoint, tokensUsed, status, clientTokenId, endUserId, apiKeyId]
     });
     return result;
   },
 
-  async getUserUsageStats(userId) {
+  // Record a reservation as pending api_usage rows, one per part (a batch item), only while the caps still cover it
+  // caps: keyBudget { limit, since }, clientTokenBudget { limit }, endUserQuota { requests, tokens, since, test }
+  // (any may be null). The rows are inserted in one write transaction, so requests running at the same time
+  // can't overspend a cap. Resolves to the row ids, or null when a cap doesn't cover the reservation.
+  async reserveApiUsage(userId, apiKeyId, endpoint, amounts, { clientTokenId = null, endUserId = null, keyBudget = null, clientTokenBudget = null, endUserQuota = null } = {}) {
+    const spend = "status IN ('success', 'pending')";
+    const endUserFilter = `user_id = ? AND end_user_id = ? AND ${spend} AND created_at >= ? AND is_test = ?`;
+
+    const tx = await db.transaction('write');
+    try {
+      const ids = [];
+      for (const amount of amounts) {
+        const conditions = [];
+        const args = [userId, apiKeyId, endpoint, amount, clientTokenId, endUserId, apiKeyId];
+
+        if (keyBudget) {
+          conditions.push(`(SELECT COALESCE(SUM(tokens_used), 0) FROM api_usage
+            WHERE api_key_id IN (${ROTATION_CHAIN_KEYS}) AND ${spend} AND (? IS NULL OR created_at >= ?)) + ? <= ?`);
+          args.push(apiKeyId, keyBudget.since, keyBudget.since, amount, keyBudget.limit);
+        }
+        if (clientTokenBudget) {
+          conditions.push(`(SELECT COALESCE(SUM(tokens_used), 0) FROM api_usage WHERE client_token_id = ? AND ${spend}) + ? <= ?`);
+          args.push(clientTokenId, amount, clientTokenBudget.limit);
+        }
+        if (endUserQuota && endUserQuota.tokens !== null) {
+          conditions.push(`(SELECT COALESCE(SUM(tokens_used), 0) FROM api_usage WHERE ${endUserFilter}) + ? <= ?`);
+          args.push(userId, endUserId, endUserQuota.since, endUserQuota.test ? 1 : 0, amount, endUserQuota.tokens);
+        }
+        if (endUserQuota && endUserQuota.requests !== null) {
+          conditions.push(`(SELECT COUNT(*) FROM api_usage WHERE ${endUserFilter}) + 1 <= ?`);
+          args.push(userId, endUserId, endUserQuota.since, endUserQuota.test ? 1 : 0, endUserQuota.requests);
+        }
+
+        const result = await tx.execute({
+          sql: `INSERT INTO api_usage (user_id, api_key_id, endpoint, tokens_used, status, client_token_id, end_user_id, is_test)
+                SELECT ?, ?, ?, ?, 'pending', ?, ?, COALESCE((SELECT mode = 'test' FROM api_keys WHERE id = ?), 0)
+                ${conditions.length > 0 ? `WHERE ${conditions.join(' AND ')}` : ''}
+                RETURNING id`,
+          args
+        });
+        if (result.rows.length === 0) {
+          await tx.rollback();
+          return null;
+        }
+        ids.push(Number(result.rows[0].id));
+      }
+
+      await tx.commit();
+      return ids;
+    } finally {
+      tx.close();
+    }
+  },
+
+  // Settle a pending api_usage row as 'success' or 'refund'
+  async settleApiUsage(id, status) {
     const result = await db.execute({
-      sql: `SELECT COUNT(*) as total_requests, SUM(tokens_used) as total_tokens_used,
-            DATE(created_at) as date FROM api_usage WHERE user_id = ?
-            GROUP BY DATE(created_at) ORDER BY date DESC LIMIT 30`,
-      args: [userId]
+      sql: `UPDATE api_usage SET status = ? WHERE id = ? AND status = 'pending'`,
+      args: [status, id]
+    });
+    return result;
+  },
+
+  // Refund a pending api_usage row and credit its tokens back in one transaction
+  // Returns false (and credits nothing) when the row was already settled
+  async refundApiUsage(id, userId, amount) {
+    const tx = await db.transaction('write');
+    try {
+      const settled = await tx.execute({
+        sql: `UPDATE api_usage SET status = 'refund' WHERE id = ? AND status = 'pending'`,
+        args: [id]
+      });
+      if (settled.rowsAffected === 0) {
+        await tx.rollback();
+        return false;
+      }
+
+      if (amount > 0) {
+        await tx.execute({
+          sql: 'UPDATE users SET tokens = tokens + ?, updated_at = CURRENT_TIMESTAMP WHERE id = ?',
+          args: [amount, userId]
+        });
+      }
+
+      await tx.commit();
+      return true;
+    } finally {
+      tx.close();
+    }
+  },
+
+  async deleteApiUsage(ids) {
+    const result = await db.execute({
+      sql: `DELETE FROM api_usage WHERE id IN (${ids.map(() => '?').join(', ')})`,
+      args: ids
+    });
+    return result;
+  },
+
+  // Async job operations
+  async createJob(id, userId, apiKeyId, clientTokenId, endUserId, modelId, endpoint, tokensReserved, usageId, callbackUrl,
+    instanceId, leaseSeconds) {
+    const result = await db.execute({
+      sql: `INSERT INTO jobs (id, user_id, api_key_id, client_token_id, end_user_id, model_id, endpoint, tokens_reserved,
+              usage_id, callback_url, instance_id, lease_expires_at)
+            VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, datetime('now', '+' || ? || ' seconds'))`,
+      args: [id, userId, apiKeyId, clientTokenId, endUserId, modelId, endpoint, tokensReserved, usageId, callbackUrl,
+        instanceId, leaseSeconds]
+    });
+    return result;
+  },
+
+  // clientToken ({ apiKeyId, clientTokenId, endUserId }) limits the lookup to the jobs of that key
+  // that were started with the same client token or for the same end user
+  async getJobById(id, userId, clientToken = null) {
+    const result = await db.execute({
+      sql: `SELECT * FROM jobs WHERE id = ? AND user_id = ?
+            AND (? = 0 OR (api_key_id = ? AND (client_token_id = ? OR end_user_id = ?)))`,
+      args: [
+        id,
+        userId,
+        clientToken ? 1 : 0,
+        clientToken?.apiKeyId ?? null,
+        clientToken?.clientTokenId ?? null,
+        clientToken?.endUserId ?? null
+      ]
+    });
+    return result.rows[0];
+  },
+
+  async markJobProcessing(id) {
+    const result = await db.execute({
+      sql: `UPDATE jobs SET status = 'processing', started_at = CURRENT_TIMESTAMP WHERE id = ? AND status = 'queued'`,
+      args: [id]
+    });
+    return result;
+  },
+
+  async completeJob(id, resultData, contentType) {
+    const result = await db.execute({
+      sql: `UPDATE jobs SET status = 'succeeded', result = ?, result_content_type = ?,
+            completed_at = CURRENT_TIMESTAMP WHERE id = ? AND status = 'processing'`,
+      args: [resultData, contentType, id]
+    });
+    return result;
+  },
+
+  async failJob(id, error) {
+    const result = await db.execute({
+      sql: `UPDATE jobs SET status = 'failed', error = ?, completed_at = CURRENT_TIMESTAMP
+            WHERE id = ? AND status IN ('queued', 'processing')`,
+      args: [error, id]
+    });
+    return result;
+  },
+
+  async renewJobLeases(ids, leaseSeconds) {
+    const result = await db.execute({
+      sql: `UPDATE jobs SET lease_expires_at = datetime('now', '+' || ? || ' seconds')
+            WHERE id IN (${ids.map(() => '?').join(', ')}) AND status IN ('queued', 'processing')`,
+      args: [leaseSeconds, ...ids]
+    });
+    return result;
+  },
+
+  async getAbandonedJobs() {
+    const result = await db.execute(`
+      SELECT id, user_id, api_key_id, endpoint, tokens_reserved, usage_id FROM jobs
+      WHERE status IN ('queued', 'processing')
+      AND (lease_expires_at IS NULL OR lease_expires_at <= datetime('now'))
+    `);
+    return result.rows;
+  },
+
+  async failAbandonedJob(id, error) {
+    const result = await db.execute({
+      sql: `UPDATE jobs SET status = 'failed', error = ?, completed_at = CURRENT_TIMESTAMP
+            WHERE id = ? AND status IN ('queued', 'processing')
+            AND (lease_expires_at IS NULL OR lease_expires_at <= datetime('now'))`,
+      args: [error, id]
+    });
+    return result;
+  },
+
+  async deleteJobsOlderThan(days) {
+    const result = await db.execute({
+      sql: `DELETE FROM jobs WHERE status IN ('succeeded', 'failed')
+            AND datetime(created_at, '+' || ? || ' days') <= datetime('now')`,
+      args: [days]
+    });
+    return result;
+  },
+
+  // Idempotency key operations
+  async getIdempotencyRecord(apiKeyId, idempotencyKey) {
+    const result = await db.execute({
+      sql: `SELECT *, expires_at <= datetime('now') AS expired,
+            created_at <= datetime('now', '-15 minutes') AS stale
+            FROM idempotency_keys WHERE api_key_id = ? AND idempotency_key = ?`,
+      args: [apiKeyId, idempotencyKey]
+    });
+    return result.rows[0];
+  },
+
+  async createIdempotencyRecord(apiKeyId, idempotencyKey, requestHash, ttlHours) {
+    const result = await db.execute({
+      sql: `INSERT INTO idempotency_keys (api_key_id, idempotency_key, request_hash, expires_at)
+            VALUES (?, ?, ?, datetime('now', '+' || ? || ' hours'))`,
+      args: [apiKeyId, idempotencyKey, requestHash, ttlHours]
+    });
+    return result;
+  },
+
+  async completeIdempotencyRecord(id, responseStatus, responseHeaders, responseBody) {
+    const result = await db.execute({
+      sql: `UPDATE idempotency_keys SET status = 'completed', response_status = ?,
+            response_headers = ?, response_body = ? WHERE id = ?`,
+      args: [responseStatus, responseHeaders, responseBody, id]
+    });
+    return result;
+  },
+
+  async deleteIdempotencyRecord(id) {
+    const result = await db.execute({
+      sql: 'DELETE FROM idempotency_keys WHERE id = ?',
+      args: [id]
+    });
+    return result;
+  },
+
+  async deleteExpiredIdempotencyRecords() {
+    const result = await db.execute(`DELETE FROM idempotency_keys WHERE expires_at <= datetime('now')`);
+    return result;
+  },
+
+  // Result cache operations
+  async getCachedResult(cacheKey) {
+    const result = await db.execute({
+      sql: `SELECT content_type, body FROM result_cache
+            WHERE cache_key = ? AND expires_at > datetime('now')`,
+      args: [cacheKey]
+    });
+    return result.rows[0];
+  },
+
+  async recordCacheHit(cacheKey) {
+    const result = await db.execute({
+      sql: 'UPDATE result_cache SET hits = hits + 1 WHERE cache_key = ?',
+      args: [cacheKey]
+    });
+    return result;
+  },
+
+  async storeCachedResult(cacheKey, modelId, contentType, body, ttlSeconds) {
+    const result = await db.execute({
+      sql: `INSERT OR REPLACE INTO result_cache (cache_key, model_id, content_type, body, size_bytes, expires_at)
+            VALUES (?, ?, ?, ?, ?, datetime('now', '+' || ? || ' seconds'))`,
+      args: [cacheKey, modelId, contentType, body, body.length, ttlSeconds]
+    });
+    return result;
+  },
+
+  // Drop a model's expired entries, then the oldest ones until it fits in maxBytes
+  async trimResultCache(modelId, maxBytes) {
+    await db.execute({
+      sql: `DELETE FROM result_cache WHERE model_id = ? AND expires_at <= datetime('now')`,
+      args: [modelId]
+    });
+    const result = await db.execute({
+      sql: `DELETE FROM result_cache WHERE cache_key IN (
+              SELECT cache_key FROM (
+                SELECT cache_key, SUM(size_bytes) OVER (ORDER BY created_at DESC, rowid DESC) AS running_total
+                FROM result_cache WHERE model_id = ?
+              ) WHERE running_total > ?
+            )`,
+      args: [modelId, maxBytes]
+    });
+    return result;
+  },
+
+  async deleteExpiredCachedResults() {
+    const result = await db.execute(`DELETE FROM result_cache WHERE expires_at <= datetime('now')`);
+    return result;
+  },
+
+  // Generation history operations
+  async createGeneration(generation, retentionDays) {
+    const result = await db.execute({
+      sql: `INSERT INTO generations (id, user_id, api_key_id, usage_id, model_id, model_version, endpoint, params,
+            inputs, output_key, output_content_type, output_size, tokens_used, expires_at)
+            VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, datetime('now', '+' || ? || ' days'))`,
+      args: [
+        generation.id,
+        generation.userId,
+        generation.apiKeyId,
+        generation.usageId,
+        generation.modelId,
+        generation.modelVersion,
+        generation.endpoint,
+        JSON.stringify(generation.params),
+        JSON.stringify(generation.inputs),
+        generation.outputKey,
+        generation.outputContentType,
+        generation.outputSize,
+        generation.tokensUsed,
+        retentionDays
+      ]
+    });
+    return result;
+  },
+
+  async getGenerationById(id, userId) {
+    const result = await db.execute({
+      sql: `SELECT * FROM generations WHERE id = ? AND user_id = ? AND expires_at > datetime('now')`,
+      args: [id, userId]
+    });
+    return result.rows[0];
+  },
+
+  async getUserGenerations(userId, { modelId = null, limit = 20, offset = 0 } = {}) {
+    const result = await db.execute({
+      sql: `SELECT * FROM generations
+            WHERE user_id = ? AND expires_at > datetime('now') AND (? IS NULL OR model_id = ?)
+            ORDER BY created_at DESC, rowid DESC LIMIT ? OFFSET ?`,
+      args: [userId, modelId, modelId, limit, offset]
+    });
+    return result.rows;
+  },
+
+  async countUserGenerations(userId, modelId = null) {
+    const result = await db.execute({
+      sql: `SELECT COUNT(*) as count FROM generations
+            WHERE user_id = ? AND expires_at > datetime('now') AND (? IS NULL OR model_id = ?)`,
+      args: [userId, modelId, modelId]
+    });
+    return result.rows[0].count;
+  },
+
+  async deleteGenerationById(id) {
+    const result = await db.execute({
+      sql: 'DELETE FROM generations WHERE id = ?',
+      args: [id]
+    });
+    return result;
+  },
+
+  async getExpiredGenerations(limit = 500) {
+    const result = await db.execute({
+      sql: `SELECT id, inputs, output_key FROM generations WHERE expires_at <= datetime('now') LIMIT ?`,
+      args: [limit]
+    });
+    return result.rows;
+  },
+
+  // Preset operations
+  async createPreset(userId, modelId, name, description, params) {
+    const result = await db.execute({
+      sql: 'INSERT INTO presets (user_id, model_id, name, description, params) VALUES (?, ?, ?, ?, ?)',
+      args: [userId, modelId, name, description, JSON.stringify(params)]
+    });
+    return result;
+  },
+
+  async getUserPresets(userId, modelId = null) {
+    const result = await db.execute({
+      sql: `SELECT * FROM presets WHERE user_id = ? AND (? IS NULL OR model_id = ?)
+            ORDER BY model_id, name`,
+      args: [userId, modelId, modelId]
+    });
+    return result.rows;
+  },
+
+  async getPresetById(id, userId) {
+    const result = await db.execute({
+      sql: 'SELECT * FROM presets WHERE id = ? AND user_id = ?',
+      args: [id, userId]
+    });
+    return result.rows[0];
+  },
+
+  async getPresetByName(userId, modelId, name) {
+    const result = await db.execute({
+      sql: 'SELECT * FROM presets WHERE user_id = ? AND model_id = ? AND name = ?',
+      args: [userId, modelId, name]
+    });
+    return result.rows[0];
+  },
+
+  async updatePreset(id, userId, name, description, params) {
+    const result = await db.execute({
+      sql: `UPDATE presets SET name = ?, description = ?, params = ?, updated_at = CURRENT_TIMESTAMP
+            WHERE id = ? AND user_id = ?`,
+      args: [name, description, JSON.stringify(params), id, userId]
+    });
+    return result;
+  },
+
+  async deletePresetById(id, userId) {
+    const result = await db.execute({
+      sql: 'DELETE FROM presets WHERE id = ? AND user_id = ?',
+      args: [id, userId]
+    });
+    return result;
+  },
+
+  // Shared state operations (see config/state.js)
+  async incrementSharedCounter(key, windowMs) {
+    const now = Date.now();
+    const result = await db.execute({
+      sql: `INSERT INTO shared_counters (key, count, expires_at) VALUES (?, 1, ?)
+            ON CONFLICT(key) DO UPDATE SET
+              count = CASE WHEN expires_at <= ? THEN 1 ELSE count + 1 END,
+              expires_at = CASE WHEN expires_at <= ? THEN excluded.expires_at ELSE expires_at END
+            RETURNING count, expires_at`,
+      args: [key, now + windowMs, now, now]
+    });
+    const row = result.rows[0];
+    return { count: Number(row.count), resetTime: Number(row.expires_at) };
+  },
+
+  async decrementSharedCounter(key) {
+    const result = await db.execute({
+      sql: 'UPDATE shared_counters SET count = MAX(count - 1, 0) WHERE key = ? AND expires_at > ?',
+      args: [key, Date.now()]
+    });
+    return result;
+  },
+
+  async deleteSharedCounter(key) {
+    const result = await db.execute({
+      sql: 'DELETE FROM shared_counters WHERE key = ?',
+      args: [key]
+    });
+    return result;
+  },
+
+  async getSharedCounter(key) {
+    const result = await db.execute({
+      sql: 'SELECT count, expires_at FROM shared_counters WHERE key = ? AND expires_at > ?',
+      args: [key, Date.now()]
+    });
+    const row = result.rows[0];
+    return row ? { count: Number(row.count), resetTime: Number(row.expires_at) } : null;
+  },
+
+  async acquireSharedSlot(group, slotId, limit, ttlMs) {
+    const now = Date.now();
+    const result = await db.execute({
+      sql: `INSERT INTO shared_slots (slot_group, slot_id, expires_at)
+            SELECT ?, ?, ? WHERE (SELECT COUNT(*) FROM shared_slots WHERE slot_group = ? AND expires_at > ?) < ?
+            RETURNING slot_id`,
+      args: [group, slotId, now + ttlMs, group, now, limit]
+    });
+    return result.rows.length > 0;
+  },
+
+  async renewSharedSlot(group, slotId, ttlMs) {
+    const result = await db.execute({
+      sql: 'UPDATE shared_slots SET expires_at = ? WHERE slot_group = ? AND slot_id = ?',
+      args: [Date.now() + ttlMs, group, slotId]
+    });
+    return result;
+  },
+
+  async releaseSharedSlot(group, slotId) {
+    const result = await db.execute({
+      sql: 'DELETE FROM shared_slots WHERE slot_group = ? AND slot_id = ?',
+      args: [group, slotId]
+    });
+    return result;
+  },
+
+  async acquireSharedLock(name, owner, ttlMs) {
+    const now = Date.now();
+    const result = await db.execute({
+      sql: `INSERT INTO shared_locks (name, owner, expires_at) VALUES (?, ?, ?)
+            ON CONFLICT(name) DO UPDATE SET owner = excluded.owner, expires_at = excluded.expires_at
+            WHERE shared_locks.expires_at <= ? OR shared_locks.owner = excluded.owner
+            RETURNING owner`,
+      args: [name, owner, now + ttlMs, now]
+    });
+    return result.rows.length > 0;
+  },
+
+  async releaseSharedLock(name, owner) {
+    const result = await db.execute({
+      sql: 'DELETE FROM shared_locks WHERE name = ? AND owner = ?',
+      args: [name, owner]
+    });
+    return result;
+  },
+
+  async deleteExpiredSharedState() {
+    const now = Date.now();
+    await db.execute({ sql: 'DELETE FROM shared_counters WHERE expires_at <= ?', args: [now] });
+    await db.execute({ sql: 'DELETE FROM shared_locks WHERE expires_at <= ?', args: [now] });
+    await db.execute({ sql: 'DELETE FROM shared_slots WHERE expires_at <= ?', args: [now] });
+  },
+
+  // Usage grouped by any of day, api_key, endpoint, status, mode and end_user (columns are whitelisted in USAGE_GROUP_COLUMNS)
+  // from and to are inclusive YYYY-MM-DD dates (UTC)
+  // mode: 'live' or 'test' traffic only, or 'all'; endUserId limits the report to one end user
+  async getUserUsageStats(userId, { from, to, groupBy = ['day'], apiKeyId = null, mode = 'all', endUserId = null }) {
+    const columns = groupBy.map(group => USAGE_GROUP_COLUMNS[group]).filter(Boolean);
+    const select = columns.map(column => column.select).join(', ');
+    const groupAndOrder = columns.map(column => column.group).join(', ');
+
+    const result = await db.execute({
+      sql: `SELECT ${select ? `${select},` : ''}
+            COUNT(*) as requests,
+            SUM(CASE WHEN u.status = 'success' THEN 1 ELSE 0 END) as succeeded,
+            SUM(CASE WHEN u.status = 'refund' THEN 1 ELSE 0 END) as refunded,
+            SUM(CASE WHEN u.status = 'success' THEN u.tokens_used ELSE 0 END) as tokens_used,
+            SUM(CASE WHEN u.status = 'refund' THEN u.tokens_used ELSE 0 END) as tokens_refunded
+            FROM api_usage u LEFT JOIN api_keys k ON k.id = u.api_key_id
+            WHERE u.user_id = ? AND u.status IN ('success', 'refund')
+            AND u.created_at >= ? AND u.created_at < DATE(?, '+1 day')
+            AND (? IS NULL OR u.api_key_id = ?)
+            AND (? = 'all' OR u.is_test = (? = 'test'))
+            AND (? IS NULL OR u.end_user_id = ?)
+            ${groupAndOrder ? `GROUP BY ${groupAndOrder} ORDER BY ${groupAndOrder}` : ''}`,
+      args: [userId, from, to, apiKeyId, apiKeyId, mode, mode, endUserId, endUserId]
     });
     return result.rows;
   }
@@ -272,5 +1150,6 @@ const dbHelpers = {
 module.exports = {
   db,
   initializeDatabase,
+  USAGE_GROUP_COLUMNS,
   ...dbHelpers
 };
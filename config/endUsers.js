@@ -0,0 +1,188 @@
+// End users - the players a developer's game makes requests for (X-End-User-Id header, or a client token's end_user_id)
+// Their requests are attributed in api_usage, and an account can cap what each of them uses per day or month (UTC)
+const { getEndUserUsage } = require('./database');
+
+const END_USER_HEADER = 'x-end-user-id';
+const QUOTA_PERIODS = ['day', 'month'];
+const MAX_END_USER_ID_LENGTH = 128;
+
+// Read an end user id - returns { endUserId } (null when there is none) or { error, message }
+function parseEndUserId(value) {
+  if (value === undefined || value === null || value === '') {
+    return { endUserId: null };
+  }
+
+  const endUserId = String(value);
+  if (endUserId.length > MAX_END_USER_ID_LENGTH || !/^[\w.:@-]+$/.test(endUserId)) {
+    return {
+      error: 'Invalid end user id',
+      message: `The end user id must be up to ${MAX_END_USER_ID_LENGTH} letters, digits or . _ - : @`
+    };
+  }
+  return { endUserId };
+}
+
+// End user a request is made for - the client token's, or the one the caller names
+// Returns { endUserId } (null for none) or { status, body }
+function resolveEndUser(keyData, requested) {
+  const parsed = parseEndUserId(requested);
+  if (parsed.error) {
+    return { status: 400, body: { success: false, error: parsed.error, message: parsed.message } };
+  }
+
+  const tokenEndUser = keyData.client_token?.end_user_id || null;
+  if (tokenEndUser && parsed.endUserId && parsed.endUserId !== tokenEndUser) {
+    return {
+      status: 403,
+      body: {
+        success: false,
+        error: 'End user not allowed',
+        message: 'This client token was issued for another end user.'
+      }
+    };
+  }
+  return { endUserId: tokenEndUser || parsed.endUserId };
+}
+
+// Start of the current quota period and when it resets
+function getQuotaWindow(period, now = new Date()) {
+  if (period === 'month') {
+    return {
+      start: new Date(Date.UTC(now.getUTCFullYear(), now.getUTCMonth(), 1)),
+      resetsAt: new Date(Date.UTC(now.getUTCFullYear(), now.getUTCMonth() + 1, 1))
+    };
+  }
+  const start = new Date(Date.UTC(now.getUTCFullYear(), now.getUTCMonth(), now.getUTCDate()));
+  return { start, resetsAt: new Date(start.getTime() + 24 * 60 * 60 * 1000) };
+}
+
+// The per end user quota of an account (a users row, or keyData) - null when it has none
+function getAccountQuota(account) {
+  const requests = account.end_user_quota_requests ?? null;
+  const tokens = account.end_user_quota_tokens ?? null;
+  if (requests === null && tokens === null) {
+    return null;
+  }
+  return {
+    requests,
+    tokens,
+    period: QUOTA_PERIODS.includes(account.end_user_quota_period) ? account.end_user_quota_period : 'day'
+  };
+}
+
+// An end user's use of the account's quota in the current period - null when the account has no quota
+// requests and tokens are { limit, spent, remaining } (the shape of a key budget, so billing can count against them)
+// test picks the traffic that counts: test keys have their own quota use, so CI runs don't use up real players' quotas
+async function loadEndUserQuota(account, userId, endUserId, { test = false } = {}) {
+  const quota = getAccountQuota(account);
+  if (!quota) {
+    return null;
+  }
+
+  const window = getQuotaWindow(quota.period);
+  const since = window.start.toISOString().slice(0, 19).replace('T', ' ');
+  const used = await getEndUserUsage(userId, endUserId, since, test);
+  const counter = (limit, spent) => ({ limit, spent, remaining: limit === null ? null : Math.max(limit - spent, 0) });
+
+  return {
+    period: quota.period,
+    since,
+    test,
+    resetsAt: window.resetsAt,
+    requests: counter(quota.requests, used.requests),
+    tokens: counter(quota.tokens, used.tokens)
+  };
+}
+
+// Check that an end user's quota (keyData.end_user, loaded at authentication) covers a request
+// of the given tokens, made of the given number of billed requests (batch items) - null when it does, or { status, headers, body }
+function checkEndUserQuota(keyData, amount, requests = 1) {
+  const endUser = keyData.end_user;
+  const quota = endUser?.quota;
+  if (!quota) {
+    return null;
+  }
+
+  let exceeded = null;
+  if (quota.requests.limit !== null && quota.requests.remaining < requests) {
+    exceeded = { limit: 'end_user_requests', counter: quota.requests, unit: 'requests' };
+  } else if (quota.tokens.limit !== null && quota.tokens.remaining < amount) {
+    exceeded = { limit: 'end_user_tokens', counter: quota.tokens, unit: 'tokens' };
+  }
+  if (!exceeded) {
+    return null;
+  }
+
+  const period = quota.period === 'month' ? 'monthly' : 'daily';
+  const retryAfter = Math.max(Math.ceil((quota.resetsAt.getTime() - Date.now()) / 1000), 1);
+  return {
+    status: 429,
+    headers: { 'Retry-After': String(retryAfter) },
+    body: {
+      success: false,
+      error: 'End user quota exceeded',
+      message: `End user ${endUser.id} has used ${exceeded.counter.spent} of their ${period} quota of ${exceeded.counter.limit} ${exceeded.unit}. The quota resets at ${quota.resetsAt.toISOString()}.`,
+      limit: exceeded.limit,
+      limit_value: exceeded.counter.limit,
+      end_user_id: endUser.id,
+      quota_period: quota.period,
+      quota_resets_at: quota.resetsAt.toISOString(),
+      retry_after_seconds: retryAfter
+    }
+  };
+}
+
+// An end user's quota use as shown in API responses
+function formatEndUserQuota(quota) {
+  const counter = ({ limit, spent, remaining }) => ({ limit, used: spent, remaining });
+  return {
+    period: quota.period,
+    resets_at: quota.resetsAt.toISOString(),
+    requests: counter(quota.requests),
+    tokens: counter(quota.tokens)
+  };
+}
+
+// The account's quota settings as shown in API responses
+function formatAccountQuota(account) {
+  const quota = getAccountQuota(account);
+  return quota
+    ? { requests: quota.requests, tokens: quota.tokens, period: quota.period }
+    : { requests: null, tokens: null, period: null };
+}
+
+// Read a quota update ({ requests, tokens, period }) - returns { requests, tokens, period } or { error, message }
+// requests and tokens null (or '') remove that limit; both null turns the quota off
+function parseQuotaInput(input) {
+  const period = input.period === undefined ? 'day' : input.period;
+  if (!QUOTA_PERIODS.includes(period)) {
+    return { error: 'Invalid period', message: `period must be one of: ${QUOTA_PERIODS.join(', ')}` };
+  }
+
+  const limits = {};
+  for (const name of ['requests', 'tokens']) {
+    const value = input[name];
+    if (value === undefined || value === null || value === '') {
+      limits[name] = null;
+      continue;
+    }
+    limits[name] = Number(value);
+    if (!Number.isInteger(limits[name]) || limits[name] < 1) {
+      return { error: 'Invalid quota', message: `${name} must be a whole number (at least 1), or null for no limit` };
+    }
+  }
+
+  return { ...limits, period };
+}
+
+module.exports = {
+  END_USER_HEADER,
+  QUOTA_PERIODS,
+  parseEndUserId,
+  resolveEndUser,
+  loadEndUserQuota,
+  checkEndUserQuota,
+  formatEndUserQuota,
+  formatAccountQuota,
+  parseQuotaInput
+};
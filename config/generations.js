@@ -0,0 +1,157 @@
+// Generation history - keeps the inputs, parameters and output of each model call so users can get results back later
+const crypto = require('crypto');
+const { getStorage } = require('./storage');
+const {
+  createGeneration,
+  deleteGenerationById,
+  getExpiredGenerations
+} = require('./database');
+const { isTestKey } = require('./testMode');
+
+// Read a number of days from the environment (0 is a valid value)
+function readDays(name, fallback) {
+  const value = parseInt(process.env[name]);
+  return Number.isNaN(value) ? fallback : value;
+}
+
+// Days a generation is kept, per subscription tier (0 turns history off for the tier)
+const RETENTION_DAYS_BY_TIER = {
+  free: readDays('GENERATION_RETENTION_DAYS_FREE', 3),
+  tier1: readDays('GENERATION_RETENTION_DAYS_TIER1', 30),
+  tier2: readDays('GENERATION_RETENTION_DAYS_TIER2', 90)
+};
+
+// Retention of a subscription tier (unknown tiers get the free retention)
+function getRetentionDays(tier) {
+  return RETENTION_DAYS_BY_TIER[tier] ?? RETENTION_DAYS_BY_TIER.free;
+}
+
+// Generate a public generation id
+function generateGenerationId() {
+  return `gen_${crypto.randomBytes(12).toString('hex')}`;
+}
+
+// Store one model call - inputs are the prepared uploads, result the native backend result ({ contentType, body })
+// Best effort: a storage failure is logged and never fails the request. Returns the generation id or null.
+async function recordGeneration({ model, apiKeyData, reservation, params, files, result }) {
+  const retentionDays = getRetentionDays(apiKeyData.subscription_tier || 'free');
+  // Test keys get stub results, which aren't worth keeping
+  if (retentionDays <= 0 || isTestKey(apiKeyData)) {
+    return null;
+  }
+
+  const id = generateGenerationId();
+  const prefix = `generations/${apiKeyData.user_id}/${id}`;
+  const storedKeys = [];
+  let storage;
+
+  try {
+    storage = getStorage();
+    const inputs = [];
+    for (const [field, fieldFiles] of Object.entries(files || {})) {
+      for (const file of fieldFiles) {
+        const key = `${prefix}/input-${inputs.length}`;
+        await storage.put(key, file.buffer, file.mimetype);
+        storedKeys.push(key);
+        inputs.push({
+          field,
+          key,
+          content_type: file.mimetype,
+          size: file.buffer.length,
+          width: file.width,
+          height: file.height
+        });
+      }
+    }
+
+    const outputKey = `${prefix}/output`;
+    await storage.put(outputKey, result.body, result.contentType);
+    storedKeys.push(outputKey);
+
+    await createGeneration({
+      id,
+      userId: apiKeyData.user_id,
+      apiKeyId: apiKeyData.id,
+      usageId: reservation?.usageId || null,
+      modelId: model.id,
+      modelVersion: model.version,
+      endpoint: model.endpoint,
+      params,
+      inputs,
+      outputKey,
+      outputContentType: result.contentType,
+      outputSize: result.body.length,
+      tokensUsed: reservation?.amount || 0
+    }, retentionDays);
+
+    return id;
+  } catch (error) {
+    console.error(`Failed to store generation for ${model.name}:`, error.message);
+    await Promise.all(storedKeys.map(key => storage.delete(key).catch(() => {})));
+    return null;
+  }
+}
+
+// Delete a generation row and its stored files
+async function deleteGeneration(generation) {
+  const storage = getStorage();
+  const keys = [...JSON.parse(generation.inputs).map(input => input.key), generation.output_key];
+
+  await Promise.all(keys.map(key => storage.delete(key)));
+  await deleteGenerationById(generation.id);
+}
+
+// Delete generations past their retention (in chunks, so a large backlog doesn't load at once)
+async function deleteExpiredGenerations() {
+  let deleted = 0;
+
+  for (;;) {
+    const expired = await getExpiredGenerations();
+    if (expired.length === 0) {
+      return deleted;
+    }
+
+    for (const generation of expired) {
+      await deleteGeneration(generation);
+      deleted++;
+    }
+  }
+}
+
+// Public representation of a generation row (baseUrl is where the generation routes are mounted)
+function formatGeneration(generation, baseUrl) {
+  const url = `${baseUrl}/${generation.id}`;
+
+  return {
+    id: generation.id,
+    model: generation.model_id,
+    version: generation.model_version,
+    endpoint: generation.endpoint,
+    params: JSON.parse(generation.params),
+    tokens_used: generation.tokens_used,
+    usage_id: generation.usage_id,
+    inputs: JSON.parse(generation.inputs).map((input, index) => ({
+      field: input.field,
+      content_type: input.content_type,
+      size: input.size,
+      width: input.width,
+      height: input.height,
+      url: `${url}/inputs/${index}`
+    })),
+    output: {
+      content_type: generation.output_content_type,
+      size: generation.output_size,
+      url: `${url}/output`
+    },
+    created_at: generation.created_at,
+    expires_at: generation.expires_at
+  };
+}
+
+module.exports = {
+  getRetentionDays,
+  recordGeneration,
+  deleteGeneration,
+  deleteExpiredGenerations,
+  formatGeneration
+};
@@ -0,0 +1,118 @@
+// Image input processing - checks uploaded images against a model's limits and normalizes them for its backend
+const sharp = require('sharp');
+
+// Defaults for the per-model `imageProcessing` settings in config/models.js
+const IMAGE_PROCESSING_DEFAULTS = {
+  format: 'png',     // Format the backend expects: 'png', 'jpeg' or 'webp'
+  resize: null,      // null (keep size), 'downscale' (fit inside width x height) or 'pad' (letterbox to exactly width x height)
+  width: null,
+  height: null,
+  background: { r: 0, g: 0, b: 0, alpha: 1 } // Padding color for 'pad'
+};
+
+const MIME_TYPES = {
+  png: 'image/png',
+  jpeg: 'image/jpeg',
+  webp: 'image/webp'
+};
+
+// Effective image processing settings of a model
+function getImageProcessingSettings(model) {
+  return { ...IMAGE_PROCESSING_DEFAULTS, ...model.imageProcessing };
+}
+
+// File fields that take images (their accepted types are image/*)
+function isImageField(field) {
+  return field.type === 'file' && (field.accepts || []).some(type => type.startsWith('image/'));
+}
+
+// Decode, check and normalize one uploaded image
+// Returns { file } with the converted file (plus width/height), or { error } when it is rejected
+async function prepareImage(model, file) {
+  const settings = getImageProcessingSettings(model);
+  const maxDimensions = model.limitations.maxImageDimensions;
+
+  let metadata;
+  try {
+    // Reads the header only - nothing is decoded until the size has been checked
+    metadata = await sharp(file.buffer).metadata();
+  } catch (error) {
+    return { error: 'is not a readable image' };
+  }
+
+  // EXIF orientations 5-8 are rotated by 90 degrees
+  const rotated = metadata.orientation >= 5;
+  const width = rotated ? metadata.height : metadata.width;
+  const height = rotated ? metadata.width : metadata.height;
+
+  if (maxDimensions && (width > maxDimensions.width || height > maxDimensions.height)) {
+    return { error: `is ${width}x${height}px, larger than the maximum of ${maxDimensions.width}x${maxDimensions.height}px` };
+  }
+
+  // rotate() applies the EXIF orientation; metadata is dropped because withMetadata() is never called
+  let pipeline = sharp(file.buffer).rotate();
+
+  if (settings.resize === 'downscale' && settings.width && settings.height) {
+    pipeline = pipeline.resize(settings.width, settings.height, { fit: 'inside', withoutEnlargement: true });
+  } else if (settings.resize === 'pad' && settings.width && settings.height) {
+    pipeline = pipeline.resize(settings.width, settings.height, { fit: 'contain', background: settings.background });
+  }
+
+  try {
+    const { data, info } = await pipeline.toFormat(settings.format).toBuffer({ resolveWithObject: true });
+    const baseName = (file.originalname || 'image').replace(/\.[^.]*$/, '');
+
+    return {
+      file: {
+        ...file,
+        buffer: data,
+        size: data.length,
+        mimetype: MIME_TYPES[settings.format],
+        originalname: `${baseName}.${settings.format === 'jpeg' ? 'jpg' : settings.format}`,
+        width: info.width,
+        height: info.height
+      }
+    };
+  } catch (error) {
+    return { error: 'could not be decoded' };
+  }
+}
+
+// Prepare every image field of a request - returns { files, errors } (errors use the validateRequest format)
+async function prepareImages(model, files) {
+  const prepared = { ...files };
+  const errors = [];
+
+  for (const field of model.requestSchema.fields.filter(isImageField)) {
+    if (!files?.[field.name]) {
+      continue;
+    }
+
+    prepared[field.name] = [];
+    for (const file of files[field.name]) {
+      const result = await prepareImage(model, file);
+      if (result.error) {
+        errors.push({ field: field.name, message: result.error });
+      } else {
+        prepared[field.name].push(result.file);
+      }
+    }
+  }
+
+  return { files: prepared, errors };
+}
+
+// Convert an image to another format (quality 1-100 applies to jpeg and webp)
+async function convertImage(buffer, format, quality) {
+  return sharp(buffer)
+    .toFormat(format, quality !== undefined && format !== 'png' ? { quality } : {})
+    .toBuffer();
+}
+
+module.exports = {
+  MIME_TYPES,
+  getImageProcessingSettings,
+  prepareImage,
+  prepareImages,
+  convertImage
+};
@@ -0,0 +1,275 @@
+// Async jobs - run model requests in the background and report the outcome
+const crypto = require('crypto');
+const dns = require('dns');
+const net = require('net');
+const axios = require('axios');
+const {
+  createJob,
+  getJobById,
+  markJobProcessing,
+  completeJob,
+  failJob,
+  renewJobLeases,
+  getAbandonedJobs,
+  failAbandonedJob
+} = require('./database');
+const { callModelBackend, readBackendResult } = require('./backend');
+const { isTestKey } = require('./testMode');
+const { commitReservation, refundReservation } = require('./billing');
+const { recordGeneration } = require('./generations');
+const { INSTANCE_ID } = require('./state');
+
+// An instance renews the leases of the jobs it runs every minute. A job whose lease has run out belongs to an
+// instance that stopped, and any instance fails and refunds it.
+const JOB_LEASE_SECONDS = 5 * 60;
+const JOB_MONITOR_INTERVAL_MS = 60 * 1000;
+
+// Ids of the jobs this instance is running
+const runningJobs = new Set();
+
+// Generate a public job id
+function generateJobId() {
+  return `job_${crypto.randomBytes(12).toString('hex')}`;
+}
+
+// Addresses a callback may never reach: loopback, private networks, link-local (cloud metadata), multicast and reserved
+const BLOCKED_CALLBACK_ADDRESSES = new net.BlockList();
+for (const [address, prefix] of [
+  ['0.0.0.0', 8], ['10.0.0.0', 8], ['100.64.0.0', 10], ['127.0.0.0', 8], ['169.254.0.0', 16], ['172.16.0.0', 12],
+  ['192.0.0.0', 24], ['192.168.0.0', 16], ['198.18.0.0', 15], ['224.0.0.0', 4], ['240.0.0.0', 4]
+]) {
+  BLOCKED_CALLBACK_ADDRESSES.addSubnet(address, prefix, 'ipv4');
+}
+for (const [address, prefix] of [
+  ['::', 128], ['::1', 128], ['64:ff9b::', 96], ['fc00::', 7], ['fe80::', 10], ['ff00::', 8]
+]) {
+  BLOCKED_CALLBACK_ADDRESSES.addSubnet(address, prefix, 'ipv6');
+}
+
+// Whether a callback may be sent to an IP address (BlockList checks IPv4-mapped IPv6 addresses against the IPv4 ranges)
+function isPublicAddress(address) {
+  const version = net.isIP(address);
+  return version !== 0 && !BLOCKED_CALLBACK_ADDRESSES.check(address, `ipv${version}`);
+}
+
+// dns.lookup that refuses non-public addresses - used when the callback is sent, so a host
+// that re-resolves to an internal address after it was checked is still refused
+function publicLookup(hostname, options, callback) {
+  dns.lookup(hostname, { ...options, all: true }, (error, addresses) => {
+    if (error) {
+      return callback(error);
+    }
+    const blocked = addresses.find(entry => !isPublicAddress(entry.address));
+    if (blocked) {
+      return callback(new Error(`${hostname} resolves to a non-public address (${blocked.address})`));
+    }
+    return options.all ? callback(null, addresses) : callback(null, addresses[0].address, addresses[0].family);
+  });
+}
+
+// Check a job callback URL - it must be https and its host must resolve to public addresses only
+// Returns null when it may be used, or a message saying why not
+async function checkCallbackUrl(url) {
+  let parsed;
+  try {
+    parsed = new URL(url);
+  } catch (error) {
+    return 'callback_url must be an absolute https URL';
+  }
+  if (parsed.protocol !== 'https:' || parsed.username || parsed.password) {
+    return 'callback_url must be an absolute https URL';
+  }
+
+  const hostname = parsed.hostname.replace(/^\[|\]$/g, '');
+  let addresses;
+  try {
+    addresses = net.isIP(hostname)
+      ? [hostname]
+      : (await dns.promises.lookup(hostname, { all: true })).map(entry => entry.address);
+  } catch (error) {
+    return `callback_url host ${hostname} could not be resolved`;
+  }
+
+  if (addresses.length === 0 || !addresses.every(isPublicAddress)) {
+    return 'callback_url must point to a public address (not loopback, private, link-local or reserved)';
+  }
+  return null;
+}
+
+// Absolute URL for a job resource (relative if BASE_URL isn't configured)
+function getJobUrl(jobId, suffix = '') {
+  const baseUrl = (process.env.BASE_URL || '').replace(/\/$/, '');
+  return `${baseUrl}/api/v1/jobs/${jobId}${suffix}`;
+}
+
+// Public representation of a job row
+function formatJob(job) {
+  return {
+    id: job.id,
+    status: job.status,
+    model: job.model_id,
+    tokens_reserved: job.tokens_reserved,
+    error: job.error || undefined,
+    status_url: getJobUrl(job.id),
+    result_url: job.status === 'succeeded' ? getJobUrl(job.id, '/result') : undefined,
+    created_at: job.created_at,
+    started_at: job.started_at,
+    completed_at: job.completed_at
+  };
+}
+
+// A job the caller may see (null when there is none) - a client token only sees the jobs of its key that were
+// started with it or for its end user, so one player can't read another player's results
+function getVisibleJob(jobId, apiKeyData) {
+  const clientToken = apiKeyData.client_token;
+  return getJobById(jobId, apiKeyData.user_id, clientToken
+    ? { apiKeyId: apiKeyData.id, clientTokenId: clientToken.id, endUserId: clientToken.end_user_id }
+    : null);
+}
+
+// Persist a job for an already reserved request and start it in the background
+// releaseSlot (optional) is called when the job has finished - it frees the account's concurrency slot
+async function enqueueJob(model, apiKeyData, reservation, files, params, callbackUrl, releaseSlot = () => {}) {
+  const jobId = generateJobId();
+
+  await createJob(
+    jobId,
+    apiKeyData.user_id,
+    apiKeyData.id,
+    apiKeyData.client_token?.id || null,
+    apiKeyData.end_user?.id || null,
+    model.id,
+    model.endpoint,
+    reservation.amount,
+    reservation.usageId,
+    callbackUrl || null,
+    INSTANCE_ID,
+    JOB_LEASE_SECONDS
+  );
+
+  // Not awaited - the client polls GET /api/v1/jobs/:id or waits for the callback
+  runningJobs.add(jobId);
+  processJob(jobId, apiKeyData, model, reservation, files, params, callbackUrl).finally(() => {
+    runningJobs.delete(jobId);
+    releaseSlot();
+  });
+
+  return jobId;
+}
+
+// Call the backend for a job, then commit or refund its tokens
+// Tokens are only committed once the result is stored; keeping the generation is best effort and can't fail the job
+async function processJob(jobId, apiKeyData, model, reservation, files, params, callbackUrl) {
+  let result = null;
+  try {
+    await markJobProcessing(jobId);
+
+    const aiResponse = await callModelBackend(model, files, params, { test: isTestKey(apiKeyData) });
+    const backendResult = readBackendResult(model, aiResponse);
+    const completed = await completeJob(jobId, backendResult.body, backendResult.contentType);
+    if (completed.rowsAffected === 0) {
+      throw new Error('Job was recovered by another instance after its lease ran out');
+    }
+    await commitReservation(reservation);
+    result = backendResult;
+  } catch (error) {
+    console.error(`Job ${jobId} (${model.name}) failed:`, error.message);
+
+    // Refund only a job this process failed - one already failed elsewhere (after its lease ran out) was refunded
+    // there, and one that couldn't be marked failed is recovered once its lease runs out
+    try {
+      const failed = await failJob(jobId, error.response?.data?.message || error.message || 'AI processing failed');
+      if (failed.rowsAffected > 0) {
+        await refundReservation(reservation);
+      }
+    } catch (dbError) {
+      console.error(`Job ${jobId} status update or token refund failed:`, dbError);
+    }
+  }
+
+  if (result) {
+    await recordGeneration({ model, apiKeyData, reservation, params, files, result });
+  }
+
+  if (callbackUrl) {
+    await notifyCallback(jobId, apiKeyData.user_id, callbackUrl);
+  }
+}
+
+// POST the finished job to the client's callback URL (best effort, no retries)
+// The URL is checked again, its host may only resolve to public addresses, and redirects are not followed
+async function notifyCallback(jobId, userId, callbackUrl) {
+  try {
+    const refused = await checkCallbackUrl(callbackUrl);
+    if (refused) {
+      throw new Error(refused);
+    }
+
+    const job = await getJobById(jobId, userId);
+    await axios.post(callbackUrl, { success: job.status === 'succeeded', job: formatJob(job) }, {
+      timeout: 10000, // 10 second timeout
+      maxRedirects: 0,
+      lookup: publicLookup
+    });
+  } catch (error) {
+    console.error(`Job ${jobId} callback to ${callbackUrl} failed:`, error.message);
+  }
+}
+
+// Fail and refund jobs whose instance stopped while they were queued or running (their lease ran out)
+// A job is claimed by failing it first, so only one instance refunds it
+async function recoverInterruptedJobs() {
+  const jobs = await getAbandonedJobs();
+  let recovered = 0;
+
+  for (const job of jobs) {
+    try {
+      const claimed = await failAbandonedJob(job.id, 'Job was interrupted because its server stopped. Tokens have been refunded.');
+      if (claimed.rowsAffected === 0) {
+        continue;
+      }
+
+      // Rebuild the reservation that was lost with the stopped process
+      await refundReservation({
+        userId: job.user_id,
+        apiKeyId: job.api_key_id,
+        endpoint: job.endpoint,
+        amount: job.tokens_reserved,
+        usageId: job.usage_id,
+        settled: false
+      });
+      recovered++;
+    } catch (error) {
+      console.error(`Failed to recover job ${job.id}:`, error);
+    }
+  }
+
+  if (recovered > 0) {
+    console.log(`✓ Recovered ${recovered} interrupted job(s)`);
+  }
+}
+
+// Renew the leases of this instance's jobs and recover abandoned ones - now, then every minute
+function startJobMonitor() {
+  const run = async () => {
+    try {
+      if (runningJobs.size > 0) {
+        await renewJobLeases([...runningJobs], JOB_LEASE_SECONDS);
+      }
+      await recoverInterruptedJobs();
+    } catch (error) {
+      console.error('Job monitor error:', error);
+    }
+  };
+  setInterval(run, JOB_MONITOR_INTERVAL_MS);
+
+  return run();
+}
+
+module.exports = {
+  checkCallbackUrl,
+  formatJob,
+  getVisibleJob,
+  enqueueJob,
+  startJobMonitor
+};
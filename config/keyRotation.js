@@ -0,0 +1,111 @@
+// API key rotation - a replacement key is issued and the old key keeps working for a grace period
+// The old key's responses carry an X-API-Key-Warning header until it is deactivated when the grace period ends
+const { deactivateApiKey } = require('./database');
+
+// Grace period of a rotation, in hours (0 deactivates the old key right away)
+const MAX_GRACE_HOURS = 30 * 24;
+const DEFAULT_GRACE_HOURS = readDefaultGraceHours(process.env.API_KEY_ROTATION_GRACE_HOURS);
+
+// API_KEY_ROTATION_GRACE_HOURS - 24 when unset or not a number, kept between 0 and MAX_GRACE_HOURS
+function readDefaultGraceHours(value) {
+  const hours = value === undefined || value.trim() === '' ? NaN : Number(value);
+  return Number.isFinite(hours) ? Math.min(Math.max(hours, 0), MAX_GRACE_HOURS) : 24;
+}
+
+// Parse a SQLite timestamp (UTC)
+function parseTimestamp(value) {
+  return value ? new Date(`${String(value).replace(' ', 'T')}Z`) : null;
+}
+
+// Read { grace_period_hours } of a rotate request - returns { graceSeconds } or { error, message }
+function parseGracePeriod(input) {
+  const value = input.grace_period_hours;
+  if (value === undefined || value === null || value === '') {
+    return { graceSeconds: Math.round(DEFAULT_GRACE_HOURS * 3600) };
+  }
+
+  const hours = Number(value);
+  if (!Number.isFinite(hours) || hours < 0 || hours > MAX_GRACE_HOURS) {
+    return { error: 'Invalid grace period', message: `grace_period_hours must be between 0 and ${MAX_GRACE_HOURS}` };
+  }
+  return { graceSeconds: Math.round(hours * 3600) };
+}
+
+// Check a key that may have been rotated (keyData from getApiKeyByHash)
+// Returns { status, body } once its grace period is over (and deactivates it), { warning } during the grace period, or {}
+async function checkRotationGrace(keyData) {
+  const graceEndsAt = parseTimestamp(keyData.grace_ends_at);
+  if (!graceEndsAt) {
+    return {};
+  }
+
+  if (graceEndsAt <= new Date()) {
+    await deactivateApiKey(keyData.id, keyData.user_id);
+    return {
+      status: 401,
+      body: {
+        success: false,
+        error: 'API key rotated',
+        message: `This API key was replaced and stopped working at ${graceEndsAt.toISOString()}. Use its replacement (${keyData.replacement_prefix}).`
+      }
+    };
+  }
+
+  return {
+    warning: `This API key was rotated and stops working at ${graceEndsAt.toISOString()}. Switch to its replacement (${keyData.replacement_prefix}).`
+  };
+}
+
+// Rotation state of a key row as shown in API responses
+function formatRotation(key) {
+  const rotatedAt = parseTimestamp(key.rotated_at);
+  const graceEndsAt = parseTimestamp(key.grace_ends_at);
+
+  return {
+    rotated_from: key.rotated_from ?? null,
+    replaced_by: key.replaced_by ?? null,
+    rotated_at: rotatedAt ? rotatedAt.toISOString() : null,
+    grace_ends_at: graceEndsAt ? graceEndsAt.toISOString() : null,
+    in_grace_period: Boolean(key.is_active && graceEndsAt && graceEndsAt > new Date())
+  };
+}
+
+// The rotation chain a key belongs to, oldest key first (keys are the user's rows from getUserApiKeys)
+function buildRotationHistory(keys, keyId) {
+  const byId = new Map(keys.map(key => [key.id, key]));
+  let first = byId.get(keyId);
+  if (!first) {
+    return null;
+  }
+
+  // Walk back to the first key, then forward through its replacements
+  const seen = new Set([first.id]);
+  while (first.rotated_from && byId.has(first.rotated_from) && !seen.has(first.rotated_from)) {
+    first = byId.get(first.rotated_from);
+    seen.add(first.id);
+  }
+
+  const chain = [];
+  for (let key = first; key && chain.length < keys.length; key = byId.get(key.replaced_by)) {
+    const deactivatedAt = parseTimestamp(key.deactivated_at);
+    chain.push({
+      id: key.id,
+      name: key.name,
+      key_prefix: key.key_prefix,
+      is_active: Boolean(key.is_active),
+      created_at: parseTimestamp(key.created_at).toISOString(),
+      deactivated_at: deactivatedAt ? deactivatedAt.toISOString() : null,
+      ...formatRotation(key)
+    });
+  }
+  return chain;
+}
+
+module.exports = {
+  DEFAULT_GRACE_HOURS,
+  MAX_GRACE_HOURS,
+  parseGracePeriod,
+  checkRotationGrace,
+  formatRotation,
+  buildRotationHistory
+};
@@ -0,0 +1,203 @@
+// API key scopes - optional restrictions chosen when a key is created
+// A key can be limited to some models, to read-only (GET) requests, to IP addresses/CIDR ranges,
+// to browser Origins, and can expire. Keys without scopes keep working everywhere.
+const net = require('net');
+const { getModelById } = require('./models');
+
+const MAX_SCOPE_ENTRIES = 50;
+
+// Read a list field - an array, or a comma/newline separated string (the dashboard form)
+function readList(value) {
+  if (value === undefined || value === null || value === '') {
+    return [];
+  }
+  const items = Array.isArray(value) ? value : String(value).split(/[,\n]/);
+  return [...new Set(items.map(item => String(item).trim()).filter(Boolean))];
+}
+
+// Parse an IP address or CIDR range - returns { address, prefix, type } or null
+function parseIpRange(value) {
+  const [address, prefix, extra] = value.split('/');
+  const version = net.isIP(address);
+  if (!version || extra !== undefined) {
+    return null;
+  }
+
+  const maxPrefix = version === 4 ? 32 : 128;
+  if (prefix === undefined) {
+    return { address, prefix: maxPrefix, type: `ipv${version}` };
+  }
+  if (!/^\d{1,3}$/.test(prefix) || Number(prefix) > maxPrefix) {
+    return null;
+  }
+  return { address, prefix: Number(prefix), type: `ipv${version}` };
+}
+
+// Normalize an allowed Origin (scheme://host[:port]) - null when it isn't one
+function parseOrigin(value) {
+  try {
+    const url = new URL(value);
+    if (!['http:', 'https:'].includes(url.protocol) || url.pathname !== '/' || url.search || url.hash || url.username) {
+      return null;
+    }
+    return url.origin;
+  } catch (error) {
+    return null;
+  }
+}
+
+// Parse a SQLite/ISO timestamp as UTC
+function parseTimestamp(value) {
+  const text = String(value).trim().replace(' ', 'T');
+  const date = new Date(/[zZ]|[+-]\d{2}:?\d{2}$/.test(text) ? text : `${text}Z`);
+  return Number.isNaN(date.getTime()) ? null : date;
+}
+
+// Read the scopes of a new key from a request body
+// Returns { scopes } (allowedModels, readOnly, allowedIps, allowedOrigins, expiresAt) or { error, message }
+function parseKeyScopes(input) {
+  const allowedModels = readList(input.allowed_models);
+  const allowedIps = readList(input.allowed_ips);
+  const allowedOrigins = readList(input.allowed_origins);
+
+  for (const [name, list] of [['allowed_models', allowedModels], ['allowed_ips', allowedIps], ['allowed_origins', allowedOrigins]]) {
+    if (list.length > MAX_SCOPE_ENTRIES) {
+      return { error: 'Invalid scopes', message: `${name} can list at most ${MAX_SCOPE_ENTRIES} entries` };
+    }
+  }
+
+  const unknownModels = allowedModels.filter(modelId => !getModelById(modelId));
+  if (unknownModels.length > 0) {
+    return { error: 'Invalid scopes', message: `Unknown model(s) in allowed_models: ${unknownModels.join(', ')}` };
+  }
+
+  const badIps = allowedIps.filter(ip => !parseIpRange(ip));
+  if (badIps.length > 0) {
+    return { error: 'Invalid scopes', message: `allowed_ips must be IP addresses or CIDR ranges (e.g. 203.0.113.0/24), got: ${badIps.join(', ')}` };
+  }
+
+  const origins = allowedOrigins.map(parseOrigin);
+  if (origins.includes(null)) {
+    return { error: 'Invalid scopes', message: 'allowed_origins must be origins like https://game.example.com (scheme, host and optional port, no path)' };
+  }
+
+  let expiresAt = null;
+  if (input.expires_at !== undefined && input.expires_at !== null && input.expires_at !== '') {
+    const date = parseTimestamp(input.expires_at);
+    if (!date) {
+      return { error: 'Invalid scopes', message: 'expires_at must be an ISO 8601 timestamp, e.g. 2025-01-31T18:00:00Z' };
+    }
+    if (date <= new Date()) {
+      return { error: 'Invalid scopes', message: 'expires_at must be in the future' };
+    }
+    expiresAt = date.toISOString().slice(0, 19).replace('T', ' ');
+  }
+
+  const readOnly = input.read_only === true || input.read_only === 'true' || input.read_only === 1 || input.read_only === '1';
+
+  return {
+    scopes: {
+      allowedModels,
+      readOnly,
+      allowedIps,
+      allowedOrigins: [...new Set(origins)],
+      expiresAt
+    }
+  };
+}
+
+// Stored scope list (JSON text, or an array not saved yet) of a key row - [] when unrestricted
+function readStoredList(value) {
+  if (Array.isArray(value)) {
+    return value;
+  }
+  return value ? JSON.parse(value) : [];
+}
+
+// The client's IP address, without the IPv4-mapped IPv6 prefix
+function normalizeIp(ip) {
+  return ip && ip.startsWith('::ffff:') && net.isIPv4(ip.slice(7)) ? ip.slice(7) : ip;
+}
+
+// Whether an IP address is inside one of the allowed addresses/ranges
+function isIpAllowed(ip, allowedIps) {
+  const address = normalizeIp(ip);
+  const version = net.isIP(address || '');
+  if (!version) {
+    return false;
+  }
+
+  const list = new net.BlockList();
+  for (const entry of allowedIps) {
+    const range = parseIpRange(entry);
+    list.addSubnet(range.address, range.prefix, range.type);
+  }
+  return list.check(address, `ipv${version}`);
+}
+
+// Build a rejection in the { status, body } shape of resolveApiKey
+function reject(status, error, message) {
+  return { status, body: { success: false, error, message } };
+}
+
+// Check a key's scopes against the calling client ({ ip, origin, method })
+// Returns null when the request is allowed, or { status, body }. Model scopes are checked by checkModelScope.
+function checkKeyScopes(keyData, client, { requireTokens }) {
+  if (keyData.expires_at) {
+    const expiresAt = parseTimestamp(keyData.expires_at);
+    if (expiresAt && expiresAt <= new Date()) {
+      return reject(401, 'API key expired', `This API key expired at ${expiresAt.toISOString()}. Create a new key in the dashboard.`);
+    }
+  }
+
+  const allowedIps = readStoredList(keyData.allowed_ips);
+  if (allowedIps.length > 0 && !isIpAllowed(client.ip, allowedIps)) {
+    return reject(403, 'IP address not allowed', `This API key can't be used from ${normalizeIp(client.ip) || 'this address'}.`);
+  }
+
+  const allowedOrigins = readStoredList(keyData.allowed_origins);
+  if (allowedOrigins.length > 0 && !allowedOrigins.includes(client.origin)) {
+    return reject(403, 'Origin not allowed', client.origin
+      ? `This API key can't be used from ${client.origin}.`
+      : 'This API key only accepts requests with an allowed Origin header (browser requests from its allowed sites).');
+  }
+
+  if (keyData.read_only && (requireTokens || !['GET', 'HEAD'].includes(client.method))) {
+    return reject(403, 'Read-only API key', 'This API key can only read usage, jobs, generations and presets. Use a full key for model requests and changes.');
+  }
+
+  return null;
+}
+
+// Check that a key may call a model (base model id, any version) - null when allowed, or { status, body }
+function checkModelScope(keyData, model) {
+  const allowedModels = readStoredList(keyData.allowed_models);
+  if (allowedModels.length === 0 || allowedModels.includes(model.id)) {
+    return null;
+  }
+  return reject(403, 'Model not allowed', `This API key can't use ${model.name}. It is limited to: ${allowedModels.join(', ')}.`);
+}
+
+// Scopes as shown in API responses (null when the key is unrestricted in that respect)
+function formatKeyScopes(keyData) {
+  const expiresAt = keyData.expires_at ? parseTimestamp(keyData.expires_at) : null;
+  const allowedModels = readStoredList(keyData.allowed_models);
+  const allowedIps = readStoredList(keyData.allowed_ips);
+  const allowedOrigins = readStoredList(keyData.allowed_origins);
+
+  return {
+    allowed_models: allowedModels.length > 0 ? allowedModels : null,
+    read_only: Boolean(keyData.read_only),
+    allowed_ips: allowedIps.length > 0 ? allowedIps : null,
+    allowed_origins: allowedOrigins.length > 0 ? allowedOrigins : null,
+    expires_at: expiresAt ? expiresAt.toISOString() : null,
+    expired: Boolean(expiresAt && expiresAt <= new Date())
+  };
+}
+
+module.exports = {
+  parseKeyScopes,
+  checkKeyScopes,
+  checkModelScope,
+  formatKeyScopes
+};
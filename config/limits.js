@@ -0,0 +1,42 @@
+// API limits per subscription tier - request rate and concurrent model requests
+// An account can be given its own limits (users.rate_limit_per_minute / users.max_concurrent_requests, see set_limits.js)
+const { holdSlot } = require('./state');
+
+const TIER_LIMITS = {
+  free: {
+    requestsPerMinute: 20,
+    maxConcurrentRequests: 2
+  },
+  tier1: {
+    requestsPerMinute: 60,
+    maxConcurrentRequests: 4
+  },
+  tier2: {
+    requestsPerMinute: 120,
+    maxConcurrentRequests: 8
+  }
+};
+
+// Limits of the account behind an API key (keyData from getApiKeyByHash)
+function getAccountLimits(keyData) {
+  const tier = TIER_LIMITS[keyData.subscription_tier] ? keyData.subscription_tier : 'free';
+  const limits = TIER_LIMITS[tier];
+
+  return {
+    tier,
+    requestsPerMinute: keyData.rate_limit_per_minute ?? limits.requestsPerMinute,
+    maxConcurrentRequests: keyData.max_concurrent_requests ?? limits.maxConcurrentRequests
+  };
+}
+
+// Take one of the user's concurrent request slots (held in the shared state store, across instances)
+// Resolves to a release function, or null when all slots are taken. Releasing twice is harmless.
+function acquireConcurrencySlot(userId, maxConcurrent) {
+  return holdSlot(`concurrency:${userId}`, maxConcurrent);
+}
+
+module.exports = {
+  TIER_LIMITS,
+  getAccountLimits,
+  acquireConcurrencySlot
+};
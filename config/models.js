@@ -1,17 +1,45 @@
 // AI Models Configuration
 // Add new models here - each model has its own route, schema, and backend URL
+// Every enabled model is mounted automatically by the gateway in routes/gateway.js
+// A model can serve several versions side by side - see `versions` below
+
+// Base path the API router is mounted at (see server.js)
+const API_BASE_PATH = '/api/v1';
 
 const MODELS = {
   'live-painting': {
     id: 'live-painting',
     name: 'AI Live Painting',
     description: 'Transform your painted images into realistic artwork',
-    version: 'v1',
     endpoint: '/api/v1/live-painting',
     method: 'POST',
-    backendUrl: process.env.AI_LIVE_PAINT_URL || 'http://localhost:5000',
+    // Comma-separated list of replicas in AI_LIVE_PAINT_URLS (AI_LIVE_PAINT_URL for a single backend)
+    backendUrls: (process.env.AI_LIVE_PAINT_URLS || process.env.AI_LIVE_PAINT_URL || 'http://localhost:5000')
+      .split(',')
+      .map(url => url.trim())
+      .filter(Boolean),
     backendPath: '/process',
+    loadBalancing: 'least-in-flight',
+    healthCheck: {
+      path: '/health',
+      intervalMs: 30000,
+      timeoutMs: 5000
+    },
+    circuitBreaker: {
+      failureThreshold: 3,
+      resetTimeoutMs: 30000
+    },
     tokensPerRequest: 1,
+    // Price grows with the compute a request needs (see config/pricing.js)
+    // A default request (4 steps, up to 1 megapixel) costs tokensPerRequest
+    pricing: {
+      rules: [
+        { field: 'steps', above: 4, tokens: 0.25, description: '0.25 tokens per inference step above 4' },
+        { image: 'image', per: 'megapixel', above: 1, tokens: 1, description: '1 token per megapixel of input image above 1' }
+      ],
+      min: 1,
+      max: 40
+    },
     requestSchema: {
       type: 'multipart/form-data',
       fields: [
@@ -19,7 +47,7 @@ const MODELS = {
           name: 'image',
           type: 'file',
           required: true,
-          accepts: ['image/png', 'image/jpeg', 'image/jpg'],
+          accepts: ['image/png', 'image/jpeg', 'image/jpg', 'image/webp'],
           maxSize: '10MB',
           description: 'The painted image to transform'
         },
@@ -28,6 +56,7 @@ const MODELS = {
           type: 'string',
           required: false,
           default: 'professional photograph, highly detailed, photorealistic',
+          maxLength: 1000,
           description: 'Text description to guide the image generation'
         },
         {
@@ -41,7 +70,7 @@ const MODELS = {
         },
         {
           name: 'steps',
-          type: 'number',
+          type: 'integer',
           required: false,
           default: 4,
           min: 1,
@@ -73,6 +102,53 @@ const MODELS = {
       timeout: 60000, // 60 seconds
       maxImageDimensions: { width: 4096, height: 4096 }
     },
+    // Uploaded images are checked against maxImageDimensions, stripped of metadata and converted before reaching the backend
+    imageProcessing: {
+      format: 'png',   // The backend decodes PNG
+      resize: null     // Or 'downscale' / 'pad' with a width and height
+    },
+    // Result cache for identical requests (same image bytes and parameters)
+    // Off by default - the backend is not seeded, so identical requests normally give different images
+    cache: {
+      enabled: false,
+      ttlSeconds: 24 * 60 * 60,     // Keep results for 24 hours
+      maxBytes: 200 * 1024 * 1024,  // Up to 200MB of cached results
+      tokensPerHit: 0               // Cache hits are free
+    },
+    // WebSocket session at /api/v1/stream/live-painting (frames in, transformed frames out)
+    streaming: {
+      billing: 'frame',          // 'frame' (tokensPerFrame per processed frame) or 'minute' (tokensPerMinute per started minute)
+      tokensPerFrame: 1,
+      tokensPerMinute: 30,
+      maxSessionsPerUser: 2,     // Concurrent sessions per account
+      idleTimeoutMs: 5 * 60 * 1000 // Close sessions that send nothing for 5 minutes
+    },
+    // Batch variant at POST /api/v1/live-painting/batch
+    batch: {
+      maxItems: 16,   // Max images per batch request
+      concurrency: 2  // Items sent to the backend at the same time
+    },
+    // Versions served side by side. Each one can override any setting above (backendUrls, requestSchema, tokensPerRequest...)
+    // and is reachable at <endpoint>/<version> or with an X-Model-Version header.
+    // defaultFrom is when a version became the default. Requests that don't pick a version get the default
+    // from the day their API key was created, so shipped game builds keep the version they were tested with.
+    versions: {
+      v1: {
+        defaultFrom: '2024-01-01',
+        modelLabel: 'AI-Live-Paint-v1'  // Name in X-Model and model fields - clients of the original endpoint check for it
+      }
+      // v2: {
+      //   defaultFrom: '2026-12-01',
+      //   backendUrls: [process.env.AI_LIVE_PAINT_V2_URL || 'http://localhost:5002']
+      // }
+      // Retiring a version:
+      // v1: {
+      //   defaultFrom: '2024-01-01',
+      //   deprecated: '2026-12-01', // Sends a Deprecation header from this date
+      //   sunset: '2027-06-01',     // Sends a Sunset header, and answers 410 Gone after this date
+      //   successor: 'v2'           // Sends a Link header to the replacement
+      // }
+    },
     enabled: true,
     featured: true
   }
@@ -147,59 +223,273 @@ function getModelById(modelId) {
   return MODELS[modelId];
 }
 
+// Get the route path of a model relative to the API router
+function getModelRoutePath(model) {
+  return model.endpoint.startsWith(API_BASE_PATH)
+    ? model.endpoint.slice(API_BASE_PATH.length)
+    : model.endpoint;
+}
+
 // Get featured models
 function getFeaturedModels() {
   return Object.values(MODELS).filter(model => model.enabled && model.featured);
 }
 
+// Parse a config date ('2026-12-01'), an ISO timestamp or a SQLite timestamp ('2026-12-01 10:00:00', UTC)
+function parseDate(value) {
+  if (!value) {
+    return null;
+  }
+  if (value instanceof Date) {
+    return value;
+  }
+  const text = String(value);
+  return new Date(/^\d{4}-\d{2}-\d{2} \d{2}:\d{2}/.test(text) ? `${text.replace(' ', 'T')}Z` : text);
+}
+
+// Version settings of a model (models without a `versions` map have the single version in `version`)
+function getVersionConfigs(model) {
+  return model.versions || { [model.version || 'v1']: {} };
+}
+
+// Version ids of a model
+function getModelVersions(model) {
+  return Object.keys(getVersionConfigs(model));
+}
+
+// Default version at a point in time - the version with the latest defaultFrom that has passed
+// Before any defaultFrom (or when none is set) the first listed version is the default
+function getDefaultVersion(model, at = new Date()) {
+  const configs = getVersionConfigs(model);
+  let best = null;
+
+  for (const [version, config] of Object.entries(configs)) {
+    const from = parseDate(config.defaultFrom);
+    if (from && from <= at && (!best || from >= best.from)) {
+      best = { version, from };
+    }
+  }
+
+  return best ? best.version : Object.keys(configs)[0];
+}
+
+// Resolved versions, so every caller shares one object per model version
+const resolvedVersions = new Map();
+
+// A model with one version's settings applied - what the gateway, backend client and cache work with
+// Returns null for unknown versions
+function getModelVersion(model, version) {
+  const config = getVersionConfigs(model)[version];
+  if (!config) {
+    return null;
+  }
+
+  const key = `${model.id}@${version}`;
+  if (!resolvedVersions.has(key)) {
+    const { versions, ...base } = model;
+    const { defaultFrom, ...overrides } = config;
+    resolvedVersions.set(key, { ...base, ...overrides, version });
+  }
+  return resolvedVersions.get(key);
+}
+
+// Every version of every enabled model (resolved)
+function getEnabledModelVersions() {
+  return getEnabledModels().flatMap(model =>
+    getModelVersions(model).map(version => getModelVersion(model, version))
+  );
+}
+
+// Name a resolved model version goes by in responses (X-Model header, model fields) - <id>-<version> unless it sets modelLabel
+function getModelLabel(model) {
+  return model.modelLabel || `${model.id}-${model.version}`;
+}
+
+// Deprecation status of a resolved model version
+function getVersionLifecycle(model, at = new Date()) {
+  const deprecatedAt = model.deprecated === true ? null : parseDate(model.deprecated);
+  const sunset = parseDate(model.sunset);
+
+  return {
+    deprecated: model.deprecated === true || Boolean(deprecatedAt && deprecatedAt <= at),
+    deprecatedAt,
+    sunset,
+    retired: Boolean(sunset && sunset <= at),
+    successor: model.successor || null
+  };
+}
+
+// Pick the version that serves a request
+// requested: a version id, 'default' (today's default) or empty. Empty means the default as of pinnedAt
+// (the API key's creation time, kept by its replacements), so an unpinned client keeps the version it was built against.
+// Returns { model } or { status, error, message }
+function resolveModelVersion(model, requested, pinnedAt) {
+  let version = requested;
+  if (!version) {
+    version = getDefaultVersion(model, parseDate(pinnedAt) || new Date());
+  } else if (version === 'default') {
+    version = getDefaultVersion(model);
+  }
+
+  const resolved = getModelVersion(model, version);
+  if (!resolved) {
+    return {
+      status: 400,
+      error: 'Unknown model version',
+      message: `${model.name} has no version "${version}". Available: ${getModelVersions(model).join(', ')}`
+    };
+  }
+
+  const lifecycle = getVersionLifecycle(resolved);
+  if (lifecycle.retired) {
+    return {
+      status: 410,
+      error: 'Model version retired',
+      message: `${model.name} ${version} was retired on ${lifecycle.sunset.toISOString().slice(0, 10)}` +
+        (lifecycle.successor ? `. Use ${lifecycle.successor} instead.` : '.')
+    };
+  }
+
+  return { model: resolved };
+}
+
+// Coerce a raw field value (form fields always arrive as strings) to the schema type
+function coerceValue(field, raw) {
+  switch (field.type) {
+    case 'number':
+    case 'integer': {
+      const value = typeof raw === 'number' ? raw : Number(String(raw).trim());
+      if (!Number.isFinite(value)) {
+        return { error: `must be a ${field.type}` };
+      }
+      if (field.type === 'integer' && !Number.isInteger(value)) {
+        return { error: 'must be a whole number' };
+      }
+      return { value };
+    }
+    case 'boolean': {
+      if (typeof raw === 'boolean') {
+        return { value: raw };
+      }
+      const normalized = String(raw).trim().toLowerCase();
+      if (['true', '1', 'yes'].includes(normalized)) return { value: true };
+      if (['false', '0', 'no'].includes(normalized)) return { value: false };
+      return { error: 'must be true or false' };
+    }
+    case 'string':
+      if (typeof raw === 'object') {
+        return { error: 'must be a string' };
+      }
+      return { value: String(raw) };
+    default:
+      return { value: raw };
+  }
+}
+
 // Validate request against model schema
-function validateRequest(modelId, request) {
-  const model = getModelById(modelId);
+// Coerces types, checks min/max and file limits, fills in defaults and rejects unknown fields.
+// Returns { valid, errors: [{ field, message }], values } where values holds the cleaned non-file fields.
+// options.ignoreFields lists extra body fields the caller handles itself (e.g. gateway controls).
+// options.skipFiles leaves file fields to the caller (e.g. frames streamed over a WebSocket).
+// Takes a resolved model version, or a model id (validated against its current default version).
+function validateRequest(modelOrId, request, options = {}) {
+  const baseModel = typeof modelOrId === 'string' ? getModelById(modelOrId) : modelOrId;
+  const model = baseModel && (baseModel.version ? baseModel : getModelVersion(baseModel, getDefaultVersion(baseModel)));
   if (!model) {
-    return { valid: false, error: 'Model not found' };
+    return { valid: false, errors: [{ field: null, message: 'Model not found' }], values: {} };
   }
 
   const errors = [];
-  const schema = model.requestSchema;
-
-  // Validate required fields
-  for (const field of schema.fields) {
-    if (field.required) {
-      if (field.type === 'file' && !request.files?.[field.name]) {
-        errors.push(`Missing required field: ${field.name}`);
-      } else if (field.type !== 'file' && !request.body?.[field.name]) {
-        errors.push(`Missing required field: ${field.name}`);
-      }
+  const values = {};
+  const fields = model.requestSchema.fields;
+  const ignoreFields = options.ignoreFields || [];
+  const body = request.body || {};
+
+  for (const field of fields) {
+    if (field.type === 'file' && options.skipFiles) {
+      continue;
     }
-  }
 
-  // Validate file types and sizes
-  if (request.files) {
-    for (const [fieldName, file] of Object.entries(request.files)) {
-      const fieldSchema = schema.fields.find(f => f.name === fieldName);
-      if (fieldSchema && fieldSchema.type === 'file') {
+    if (field.type === 'file') {
+      const files = request.files?.[field.name] || [];
+
+      if (files.length === 0) {
+        if (field.required) {
+          errors.push({ field: field.name, message: 'is required' });
+        }
+        continue;
+      }
+
+      for (const file of files) {
         // Check file type
-        if (fieldSchema.accepts && !fieldSchema.accepts.includes(file.mimetype)) {
-          errors.push(`Invalid file type for ${fieldName}. Accepted: ${fieldSchema.accepts.join(', ')}`);
+        if (field.accepts && !field.accepts.includes(file.mimetype)) {
+          errors.push({ field: field.name, message: `must be one of: ${field.accepts.join(', ')}` });
         }
         // Check file size
         if (file.size > model.limitations.maxFileSize) {
-          errors.push(`File ${fieldName} exceeds maximum size of ${model.limitations.maxFileSize / 1024 / 1024}MB`);
+          errors.push({ field: field.name, message: `exceeds maximum size of ${model.limitations.maxFileSize / 1024 / 1024}MB` });
         }
       }
+      continue;
+    }
+
+    const raw = body[field.name];
+
+    if (raw === undefined || raw === null || raw === '') {
+      if (field.required) {
+        errors.push({ field: field.name, message: 'is required' });
+      } else if (field.default !== undefined) {
+        values[field.name] = field.default;
+      }
+      continue;
+    }
+
+    const { value, error } = coerceValue(field, raw);
+    if (error) {
+      errors.push({ field: field.name, message: error, value: raw });
+      continue;
+    }
+
+    if (field.min !== undefined && value < field.min) {
+      errors.push({ field: field.name, message: `must be at least ${field.min}`, value });
+    } else if (field.max !== undefined && value > field.max) {
+      errors.push({ field: field.name, message: `must be at most ${field.max}`, value });
+    } else if (field.maxLength !== undefined && value.length > field.maxLength) {
+      errors.push({ field: field.name, message: `must be at most ${field.maxLength} characters` });
+    } else if (field.enum && !field.enum.includes(value)) {
+      errors.push({ field: field.name, message: `must be one of: ${field.enum.join(', ')}`, value });
+    } else {
+      values[field.name] = value;
+    }
+  }
+
+  // Reject fields the schema doesn't declare
+  for (const name of Object.keys(body)) {
+    if (!fields.some(field => field.name === name) && !ignoreFields.includes(name)) {
+      errors.push({ field: name, message: 'is not a recognized field' });
     }
   }
 
   return {
     valid: errors.length === 0,
-    errors: errors
+    errors: errors,
+    values: values
   };
 }
 
 module.exports = {
   MODELS,
+  API_BASE_PATH,
   getEnabledModels,
   getModelById,
+  getModelRoutePath,
   getFeaturedModels,
+  getModelVersions,
+  getDefaultVersion,
+  getModelVersion,
+  getEnabledModelVersions,
+  getModelLabel,
+  getVersionLifecycle,
+  resolveModelVersion,
   validateRequest
 };
\ No newline at end of file
@@ -0,0 +1,1057 @@
+// OpenAPI 3 document - generated from the MODELS registry so typed clients and API tooling stay in sync
+const { describePricing } = require('./pricing');
+const { GROUP_BY_OPTIONS, TRAFFIC_MODES } = require('./usage');
+const { DEFAULT_TTL_SECONDS, MAX_TTL_SECONDS } = require('./clientTokens');
+const {
+  API_BASE_PATH,
+  getEnabledModels,
+  getModelVersions,
+  getDefaultVersion,
+  getModelVersion,
+  getVersionLifecycle
+} = require('./models');
+
+// Fields the gateway accepts on every model endpoint (see GATEWAY_FIELDS in routes/gateway.js)
+const GATEWAY_FIELD_SCHEMAS = {
+  preset: {
+    type: 'string',
+    description: 'Name of one of your presets or a curated preset - explicit fields override its values'
+  },
+  async: {
+    type: 'boolean',
+    description: 'Run the request as a background job and answer 202 right away'
+  },
+  callback_url: {
+    type: 'string',
+    format: 'uri',
+    description: 'Job mode - POST the finished job to this https URL (public hosts only, redirects are not followed)'
+  },
+  output_format: {
+    type: 'string',
+    enum: ['png', 'jpeg', 'webp', 'json'],
+    description: 'Response format - overrides the Accept header. json returns a base64 envelope'
+  },
+  output_quality: {
+    type: 'integer',
+    minimum: 1,
+    maximum: 100,
+    default: 90,
+    description: 'JPEG/WebP quality'
+  }
+};
+
+// Shared error responses, referenced by the paths
+const ERROR_RESPONSES = {
+  BadRequest: 'Invalid upload, parameters or output format',
+  Unauthorized: 'Missing, invalid, expired or rotated API key or client token',
+  Forbidden: 'The API key\'s scopes don\'t allow this request (model, IP address, Origin or read-only), or a client token was used where only API keys are accepted',
+  InsufficientTokens: 'Not enough tokens for this request, or the total budget of the API key or client token is used up',
+  NotFound: 'The resource does not exist',
+  NotAcceptable: 'None of the types in the Accept header can be produced',
+  Gone: 'The model version is past its sunset date',
+  Conflict: 'The Idempotency-Key is still being processed, or the job has no result yet',
+  IdempotencyKeyReused: 'The Idempotency-Key was already used for a different request',
+  PresetExists: 'You already have a preset with this name for the model',
+  TooManyRequests: 'Rate or concurrency limit of your plan, the API key\'s daily/monthly budget, or the end user\'s quota, exceeded - `limit` says which one',
+  ServerError: 'The model backend failed - reserved tokens are refunded'
+};
+
+// JSON schema of one requestSchema field
+function fieldToSchema(field) {
+  if (field.type === 'file') {
+    const accepts = field.accepts ? ` (${field.accepts.join(', ')})` : '';
+    return {
+      type: 'string',
+      format: 'binary',
+      description: `${field.description || ''}${accepts}`.trim()
+    };
+  }
+
+  const schema = {
+    type: ['number', 'integer', 'boolean'].includes(field.type) ? field.type : 'string'
+  };
+  if (field.description) schema.description = field.description;
+  if (field.default !== undefined) schema.default = field.default;
+  if (field.min !== undefined) schema.minimum = field.min;
+  if (field.max !== undefined) schema.maximum = field.max;
+  if (field.maxLength !== undefined) schema.maxLength = field.maxLength;
+  if (field.enum) schema.enum = field.enum;
+  return schema;
+}
+
+// Request body schema of a model (its declared fields plus the gateway fields)
+function buildRequestSchema(model) {
+  const properties = {};
+  const required = [];
+
+  for (const field of model.requestSchema.fields) {
+    properties[field.name] = fieldToSchema(field);
+    if (field.required) {
+      required.push(field.name);
+    }
+  }
+
+  Object.assign(properties, GATEWAY_FIELD_SCHEMAS);
+
+  return {
+    type: 'object',
+    properties,
+    required: required.length > 0 ? required : undefined,
+    additionalProperties: false
+  };
+}
+
+// Response content types a model endpoint can produce
+function buildResultContent(model) {
+  const content = {};
+
+  if (model.responseType.startsWith('image/')) {
+    for (const type of new Set([model.responseType, 'image/png', 'image/jpeg', 'image/webp'])) {
+      content[type] = { schema: { type: 'string', format: 'binary' } };
+    }
+    content['application/json'] = { schema: { $ref: '#/components/schemas/ResultEnvelope' } };
+  } else {
+    content[model.responseType] = { schema: { type: 'object' } };
+  }
+
+  return content;
+}
+
+// Reference a shared error response
+function errorRef(name) {
+  return { $ref: `#/components/responses/${name}` };
+}
+
+// operationId of a model endpoint, e.g. livePainting, or livePaintingV2 for a fixed version
+function getOperationId(model, fixedVersion) {
+  const base = model.id.replace(/-([a-z])/g, (_, letter) => letter.toUpperCase());
+  return fixedVersion ? `${base}${model.version.charAt(0).toUpperCase()}${model.version.slice(1)}` : base;
+}
+
+// Version selection header, for endpoints without the version in the path
+const MODEL_VERSION_HEADER = {
+  name: 'X-Model-Version',
+  in: 'header',
+  required: false,
+  description: 'Model version, or "default" for the current default. Without it the default as of the API key\'s creation is used',
+  schema: { type: 'string' }
+};
+
+// Response headers describing the served version
+const VERSION_HEADERS = {
+  'X-Model-Version': { schema: { type: 'string' } },
+  Deprecation: { schema: { type: 'string' }, description: 'Set when the version is deprecated' },
+  Sunset: { schema: { type: 'string' }, description: 'Date after which the version stops answering' }
+};
+
+// Price of a model in words, e.g. "Costs 1 token(s) + 0.25 tokens per inference step above 4 (max 40)."
+function describeCost(model) {
+  const pricing = describePricing(model);
+  const rules = pricing.rules.map(rule => ` + ${rule.description}`).join('');
+  return `Costs ${pricing.base} token(s)${rules}${pricing.max !== null ? ` (max ${pricing.max})` : ''}.`;
+}
+
+// Path item for a model endpoint - fixedVersion for <endpoint>/<version>, otherwise the selectable endpoint
+function buildModelOperation(model, fixedVersion) {
+  const maxMb = Math.round(model.limitations.maxFileSize / (1024 * 1024));
+  const dimensions = model.limitations.maxImageDimensions;
+
+  return {
+    operationId: getOperationId(model, fixedVersion),
+    summary: fixedVersion ? `${model.name} ${model.version}` : model.name,
+    deprecated: fixedVersion && getVersionLifecycle(model).deprecated ? true : undefined,
+    description: [
+      model.description,
+      describeCost(model),
+      `Max upload ${maxMb}MB${dimensions ? `, ${dimensions.width}x${dimensions.height}px` : ''}.`,
+      `Times out after ${model.limitations.timeout / 1000}s.`
+    ].join(' '),
+    tags: ['Models'],
+    parameters: [
+      { $ref: '#/components/parameters/IdempotencyKey' },
+      { $ref: '#/components/parameters/EndUserId' },
+      ...(fixedVersion ? [] : [MODEL_VERSION_HEADER]),
+      {
+        name: 'Prefer',
+        in: 'header',
+        required: false,
+        description: '"respond-async" runs the request as a background job',
+        schema: { type: 'string' }
+      }
+    ],
+    requestBody: {
+      required: true,
+      content: {
+        [model.requestSchema.type]: { schema: buildRequestSchema(model) }
+      }
+    },
+    responses: {
+      200: {
+        description: 'The model result',
+        headers: {
+          'X-Tokens-Used': { schema: { type: 'integer' } },
+          'X-Tokens-Remaining': { schema: { type: 'integer' } },
+          'X-Processing-Time-Ms': { schema: { type: 'integer' } },
+          'X-Model': { schema: { type: 'string' }, description: 'Model id and version, or the version\'s modelLabel when it sets one' },
+          ...VERSION_HEADERS
+        },
+        content: buildResultContent(model)
+      },
+      202: {
+        description: 'Accepted as a background job',
+        headers: { Location: { schema: { type: 'string' }, description: 'Job status URL' } },
+        content: { 'application/json': { schema: { $ref: '#/components/schemas/JobResponse' } } }
+      },
+      400: errorRef('BadRequest'),
+      401: errorRef('Unauthorized'),
+      403: errorRef('Forbidden'),
+      402: errorRef('InsufficientTokens'),
+      406: errorRef('NotAcceptable'),
+      409: errorRef('Conflict'),
+      410: errorRef('Gone'),
+      422: errorRef('IdempotencyKeyReused'),
+      429: errorRef('TooManyRequests'),
+      500: errorRef('ServerError')
+    }
+  };
+}
+
+// Path item for the batch variant of a model endpoint
+function buildBatchOperation(model, fixedVersion) {
+  const fileField = model.requestSchema.fields.find(field => field.type === 'file');
+  const schema = buildRequestSchema(model);
+
+  schema.properties = {
+    ...schema.properties,
+    [fileField.name]: {
+      type: 'array',
+      items: fieldToSchema(fileField),
+      maxItems: model.batch.maxItems
+    },
+    items: {
+      type: 'string',
+      description: 'JSON array of per-image parameter overrides'
+    }
+  };
+  delete schema.properties.async;
+  delete schema.properties.callback_url;
+  delete schema.properties.output_format;
+  delete schema.properties.output_quality;
+
+  return {
+    operationId: `${getOperationId(model, fixedVersion)}Batch`,
+    summary: `${fixedVersion ? `${model.name} ${model.version}` : model.name} (batch)`,
+    deprecated: fixedVersion && getVersionLifecycle(model).deprecated ? true : undefined,
+    description: `Up to ${model.batch.maxItems} images per request, each priced on its own: ${describeCost(model)} Failed images are refunded.`,
+    tags: ['Models'],
+    parameters: [
+      { $ref: '#/components/parameters/IdempotencyKey' },
+      { $ref: '#/components/parameters/EndUserId' },
+      ...(fixedVersion ? [] : [MODEL_VERSION_HEADER])
+    ],
+    requestBody: {
+      required: true,
+      content: { 'multipart/form-data': { schema } }
+    },
+    responses: {
+      200: {
+        description: 'One result per image (base64 in JSON, or one part per image with Accept: multipart/mixed)',
+        content: {
+          'application/json': { schema: { $ref: '#/components/schemas/BatchResponse' } },
+          'multipart/mixed': { schema: { type: 'string', format: 'binary' } }
+        }
+      },
+      400: errorRef('BadRequest'),
+      401: errorRef('Unauthorized'),
+      403: errorRef('Forbidden'),
+      402: errorRef('InsufficientTokens'),
+      409: errorRef('Conflict'),
+      410: errorRef('Gone'),
+      422: errorRef('IdempotencyKeyReused'),
+      429: errorRef('TooManyRequests'),
+      500: errorRef('ServerError')
+    }
+  };
+}
+
+// Path item for the dry-run quote of a model endpoint
+function buildQuoteOperation(model) {
+  const schema = buildRequestSchema(model);
+
+  return {
+    operationId: `${getOperationId(model, false)}Quote`,
+    summary: `Price a ${model.name} request without running it`,
+    description: `Validates the request and returns what it would cost. Nothing is charged. ${describeCost(model)}`,
+    tags: ['Models'],
+    parameters: [MODEL_VERSION_HEADER],
+    requestBody: {
+      required: true,
+      content: { [model.requestSchema.type]: { schema } }
+    },
+    responses: {
+      200: {
+        description: 'The price of the request',
+        content: { 'application/json': { schema: { $ref: '#/components/schemas/QuoteResponse' } } }
+      },
+      400: errorRef('BadRequest'),
+      401: errorRef('Unauthorized'),
+      403: errorRef('Forbidden'),
+      410: errorRef('Gone')
+    }
+  };
+}
+
+// Paths shared by every deployment (usage, models, presets, health, jobs, generations)
+function buildSharedPaths() {
+  const modelIdParam = { name: 'modelId', in: 'path', required: true, schema: { type: 'string' } };
+  const jobIdParam = { name: 'jobId', in: 'path', required: true, schema: { type: 'string' } };
+  const presetIdParam = { name: 'presetId', in: 'path', required: true, schema: { type: 'integer' } };
+  const endUserIdParam = { name: 'endUserId', in: 'path', required: true, schema: { type: 'string' } };
+  const generationIdParam = { name: 'generationId', in: 'path', required: true, schema: { type: 'string' } };
+  const storedFile = {
+    description: 'The stored file, with the content type it was saved with',
+    content: { 'application/octet-stream': { schema: { type: 'string', format: 'binary' } } }
+  };
+  const json = (schema) => ({ 'application/json': { schema } });
+
+  return {
+    [`${API_BASE_PATH}/usage`]: {
+      get: {
+        operationId: 'getUsage',
+        summary: 'Token balance and subscription of the API key owner',
+        tags: ['Account'],
+        responses: {
+          200: { description: 'Usage', content: json({ $ref: '#/components/schemas/UsageResponse' }) },
+          401: errorRef('Unauthorized'),
+          403: errorRef('Forbidden')
+        }
+      }
+    },
+    [`${API_BASE_PATH}/usage/history`]: {
+      get: {
+        operationId: 'getUsageHistory',
+        summary: 'Requests and tokens over a date range, grouped by day, API key, endpoint, status, traffic mode and/or end user',
+        tags: ['Account'],
+        parameters: [
+          { name: 'from', in: 'query', required: false, schema: { type: 'string', format: 'date' }, description: 'First day (UTC), default 29 days before to' },
+          { name: 'to', in: 'query', required: false, schema: { type: 'string', format: 'date' }, description: 'Last day (UTC), default today' },
+          { name: 'group_by', in: 'query', required: false, schema: { type: 'string', default: 'day' }, description: `Comma-separated list of: ${GROUP_BY_OPTIONS.join(', ')}` },
+          { name: 'api_key', in: 'query', required: false, schema: { type: 'integer' }, description: 'Only the usage of this API key id' },
+          { name: 'mode', in: 'query', required: false, schema: { type: 'string', enum: TRAFFIC_MODES, default: 'live' }, description: 'Live traffic, test traffic (sk_test_ keys) or all of it' },
+          { name: 'end_user', in: 'query', required: false, schema: { type: 'string' }, description: 'Only the usage of this end user (X-End-User-Id)' },
+          { name: 'format', in: 'query', required: false, schema: { type: 'string', enum: ['json', 'csv'] }, description: 'Overrides the Accept header' }
+        ],
+        responses: {
+          200: {
+            description: 'Usage report',
+            content: {
+              'application/json': { schema: { $ref: '#/components/schemas/UsageReport' } },
+              'text/csv': { schema: { type: 'string' } }
+            }
+          },
+          400: errorRef('BadRequest'),
+          401: errorRef('Unauthorized'),
+          403: errorRef('Forbidden')
+        }
+      }
+    },
+    [`${API_BASE_PATH}/client-tokens`]: {
+      post: {
+        operationId: 'createClientToken',
+        summary: 'Exchange the API key for a short-lived client token to hand to a game build or browser',
+        tags: ['Account'],
+        requestBody: { required: false, content: json({ $ref: '#/components/schemas/ClientTokenInput' }) },
+        responses: {
+          201: { description: 'Client token', content: json({ $ref: '#/components/schemas/ClientTokenResponse' }) },
+          400: errorRef('BadRequest'),
+          401: errorRef('Unauthorized'),
+          403: errorRef('Forbidden')
+        }
+      }
+    },
+    [`${API_BASE_PATH}/end-users/quota`]: {
+      get: {
+        operationId: 'getEndUserQuota',
+        summary: 'The quota every end user gets (it is set on the dashboard)',
+        tags: ['Account'],
+        responses: {
+          200: { description: 'Quota', content: json({ $ref: '#/components/schemas/EndUserQuotaResponse' }) },
+          401: errorRef('Unauthorized'),
+          403: errorRef('Forbidden')
+        }
+      }
+    },
+    [`${API_BASE_PATH}/end-users/{endUserId}`]: {
+      get: {
+        operationId: 'getEndUser',
+        summary: 'How much of the quota an end user has used in the current period',
+        tags: ['Account'],
+        parameters: [
+          endUserIdParam,
+          { name: 'mode', in: 'query', required: false, schema: { type: 'string', enum: ['live', 'test'], default: 'live' }, description: 'Quota use of live or test traffic' }
+        ],
+        responses: {
+          200: { description: 'End user', content: json({ $ref: '#/components/schemas/EndUserResponse' }) },
+          400: errorRef('BadRequest'),
+          401: errorRef('Unauthorized'),
+          403: errorRef('Forbidden')
+        }
+      }
+    },
+    [`${API_BASE_PATH}/models`]: {
+      get: {
+        operationId: 'listModels',
+        summary: 'List the available models',
+        tags: ['Models'],
+        security: [],
+        responses: {
+          200: { description: 'Models', content: json({ type: 'object' }) }
+        }
+      }
+    },
+    [`${API_BASE_PATH}/models/{modelId}`]: {
+      get: {
+        operationId: 'getModel',
+        summary: 'Details of one model',
+        tags: ['Models'],
+        security: [],
+        parameters: [modelIdParam],
+        responses: {
+          200: { description: 'Model', content: json({ type: 'object' }) },
+          404: errorRef('NotFound')
+        }
+      }
+    },
+    [`${API_BASE_PATH}/presets`]: {
+      get: {
+        operationId: 'listPresets',
+        summary: 'Your presets and the curated presets',
+        tags: ['Presets'],
+        parameters: [{ name: 'model', in: 'query', required: false, schema: { type: 'string' } }],
+        responses: {
+          200: { description: 'Presets', content: json({ $ref: '#/components/schemas/PresetListResponse' }) },
+          401: errorRef('Unauthorized'),
+          403: errorRef('Forbidden')
+        }
+      },
+      post: {
+        operationId: 'createPreset',
+        summary: 'Save a preset',
+        tags: ['Presets'],
+        requestBody: { required: true, content: json({ $ref: '#/components/schemas/PresetInput' }) },
+        responses: {
+          201: { description: 'Saved preset', content: json({ $ref: '#/components/schemas/PresetResponse' }) },
+          400: errorRef('BadRequest'),
+          401: errorRef('Unauthorized'),
+          403: errorRef('Forbidden'),
+          409: errorRef('PresetExists')
+        }
+      }
+    },
+    [`${API_BASE_PATH}/presets/{presetId}`]: {
+      put: {
+        operationId: 'updatePreset',
+        summary: 'Replace a preset',
+        tags: ['Presets'],
+        parameters: [presetIdParam],
+        requestBody: { required: true, content: json({ $ref: '#/components/schemas/PresetInput' }) },
+        responses: {
+          200: { description: 'Updated preset', content: json({ $ref: '#/components/schemas/PresetResponse' }) },
+          400: errorRef('BadRequest'),
+          401: errorRef('Unauthorized'),
+          403: errorRef('Forbidden'),
+          404: errorRef('NotFound'),
+          409: errorRef('PresetExists')
+        }
+      },
+      delete: {
+        operationId: 'deletePreset',
+        summary: 'Delete a preset',
+        tags: ['Presets'],
+        parameters: [presetIdParam],
+        responses: {
+          200: { description: 'Deleted', content: json({ type: 'object' }) },
+          401: errorRef('Unauthorized'),
+          403: errorRef('Forbidden'),
+          404: errorRef('NotFound')
+        }
+      }
+    },
+    [`${API_BASE_PATH}/health`]: {
+      get: {
+        operationId: 'getHealth',
+        summary: 'Service status and available backend replicas per model',
+        tags: ['Service'],
+        security: [],
+        responses: {
+          200: { description: 'Health', content: json({ type: 'object' }) }
+        }
+      }
+    },
+    [`${API_BASE_PATH}/jobs/{jobId}`]: {
+      get: {
+        operationId: 'getJob',
+        summary: 'Status of an async job',
+        tags: ['Jobs'],
+        parameters: [jobIdParam],
+        responses: {
+          200: { description: 'Job', content: json({ $ref: '#/components/schemas/JobResponse' }) },
+          401: errorRef('Unauthorized'),
+          403: errorRef('Forbidden'),
+          404: errorRef('NotFound')
+        }
+      }
+    },
+    [`${API_BASE_PATH}/jobs/{jobId}/result`]: {
+      get: {
+        operationId: 'getJobResult',
+        summary: 'Result of a finished async job',
+        tags: ['Jobs'],
+        parameters: [
+          jobIdParam,
+          { name: 'output_format', in: 'query', required: false, schema: GATEWAY_FIELD_SCHEMAS.output_format },
+          { name: 'output_quality', in: 'query', required: false, schema: GATEWAY_FIELD_SCHEMAS.output_quality }
+        ],
+        responses: {
+          200: {
+            description: 'The stored result',
+            content: {
+              'image/png': { schema: { type: 'string', format: 'binary' } },
+              'image/jpeg': { schema: { type: 'string', format: 'binary' } },
+              'image/webp': { schema: { type: 'string', format: 'binary' } },
+              'application/json': { schema: { $ref: '#/components/schemas/ResultEnvelope' } }
+            }
+          },
+          401: errorRef('Unauthorized'),
+          403: errorRef('Forbidden'),
+          404: errorRef('NotFound'),
+          406: errorRef('NotAcceptable'),
+          409: errorRef('Conflict')
+        }
+      }
+    },
+    [`${API_BASE_PATH}/generations`]: {
+      get: {
+        operationId: 'listGenerations',
+        summary: 'Past model calls, newest first',
+        tags: ['Generations'],
+        parameters: [
+          { name: 'limit', in: 'query', required: false, schema: { type: 'integer', minimum: 1, maximum: 100, default: 20 } },
+          { name: 'offset', in: 'query', required: false, schema: { type: 'integer', minimum: 0, default: 0 } },
+          { name: 'model', in: 'query', required: false, schema: { type: 'string' }, description: 'Only the generations of this model id' }
+        ],
+        responses: {
+          200: { description: 'Generations', content: json({ $ref: '#/components/schemas/GenerationListResponse' }) },
+          401: errorRef('Unauthorized'),
+          403: errorRef('Forbidden')
+        }
+      }
+    },
+    [`${API_BASE_PATH}/generations/{generationId}`]: {
+      get: {
+        operationId: 'getGeneration',
+        summary: 'One past model call',
+        tags: ['Generations'],
+        parameters: [generationIdParam],
+        responses: {
+          200: { description: 'Generation', content: json({ $ref: '#/components/schemas/GenerationResponse' }) },
+          401: errorRef('Unauthorized'),
+          403: errorRef('Forbidden'),
+          404: errorRef('NotFound')
+        }
+      },
+      delete: {
+        operationId: 'deleteGeneration',
+        summary: 'Delete a generation and its stored files',
+        tags: ['Generations'],
+        parameters: [generationIdParam],
+        responses: {
+          200: { description: 'Deleted', content: json({ type: 'object' }) },
+          401: errorRef('Unauthorized'),
+          403: errorRef('Forbidden'),
+          404: errorRef('NotFound')
+        }
+      }
+    },
+    [`${API_BASE_PATH}/generations/{generationId}/output`]: {
+      get: {
+        operationId: 'getGenerationOutput',
+        summary: 'Download the output of a generation',
+        tags: ['Generations'],
+        parameters: [generationIdParam],
+        responses: {
+          200: storedFile,
+          401: errorRef('Unauthorized'),
+          403: errorRef('Forbidden'),
+          404: errorRef('NotFound')
+        }
+      }
+    },
+    [`${API_BASE_PATH}/generations/{generationId}/inputs/{index}`]: {
+      get: {
+        operationId: 'getGenerationInput',
+        summary: 'Download an input file of a generation',
+        tags: ['Generations'],
+        parameters: [
+          generationIdParam,
+          { name: 'index', in: 'path', required: true, schema: { type: 'integer', minimum: 0 }, description: 'Position in the generation\'s inputs' }
+        ],
+        responses: {
+          200: storedFile,
+          401: errorRef('Unauthorized'),
+          403: errorRef('Forbidden'),
+          404: errorRef('NotFound')
+        }
+      }
+    }
+  };
+}
+
+// Reusable schemas, responses, parameters and the API key security schemes
+function buildComponents() {
+  const responses = {};
+  for (const [name, description] of Object.entries(ERROR_RESPONSES)) {
+    responses[name] = {
+      description,
+      content: {
+        'application/json': {
+          schema: { $ref: name === 'BadRequest' ? '#/components/schemas/ValidationError' : '#/components/schemas/Error' }
+        }
+      }
+    };
+  }
+
+  return {
+    securitySchemes: {
+      ApiKeyHeader: { type: 'apiKey', in: 'header', name: 'X-API-Key', description: 'An API key, or a client token on model, quote and job endpoints' },
+      BearerAuth: { type: 'http', scheme: 'bearer', description: 'The API key (or client token) as a bearer token' }
+    },
+    parameters: {
+      EndUserId: {
+        name: 'X-End-User-Id',
+        in: 'header',
+        required: false,
+        description: 'Your id for the player the request is made for (up to 128 letters, digits or . _ - : @) - recorded in usage reports and counted against the end user quota',
+        schema: { type: 'string', maxLength: 128 }
+      },
+      IdempotencyKey: {
+        name: 'Idempotency-Key',
+        in: 'header',
+        required: false,
+        description: 'Unique key (up to 255 characters) - a retry with the same key replays the first response without charging again',
+        schema: { type: 'string', maxLength: 255 }
+      }
+    },
+    responses,
+    schemas: {
+      Error: {
+        type: 'object',
+        required: ['success', 'error'],
+        properties: {
+          success: { type: 'boolean', enum: [false] },
+          error: { type: 'string' },
+          message: { type: 'string' },
+          tokens_remaining: { type: 'integer' },
+          tokens_refunded: { type: 'integer' },
+          limit: {
+            type: 'string',
+            enum: ['requests_per_minute', 'concurrent_requests', 'ip_requests_per_minute', 'api_key_budget'],
+            description: 'The limit that was hit (429 responses, and 402 for an API key budget)'
+          },
+          limit_value: { type: 'integer' },
+          budget_period: { type: 'string', enum: ['total', 'day', 'month'] },
+          budget_spent: { type: 'integer' },
+          budget_remaining: { type: 'integer' },
+          budget_resets_at: { type: 'string', format: 'date-time' },
+          retry_after_seconds: { type: 'integer' }
+        }
+      },
+      ValidationError: {
+        allOf: [
+          { $ref: '#/components/schemas/Error' },
+          {
+            type: 'object',
+            properties: {
+              errors: {
+                type: 'array',
+                items: {
+                  type: 'object',
+                  properties: {
+                    field: { type: 'string' },
+                    message: { type: 'string' },
+                    item: { type: 'integer', description: 'Batch item index' }
+                  }
+                }
+              }
+            }
+          }
+        ]
+      },
+      ResultEnvelope: {
+        type: 'object',
+        properties: {
+          success: { type: 'boolean' },
+          model: { type: 'string' },
+          tokens_used: { type: 'integer' },
+          tokens_remaining: { type: 'integer' },
+          processing_time_ms: { type: 'integer' },
+          content_type: { type: 'string' },
+          image: { type: 'string', format: 'byte', description: 'Base64 image' },
+          data: { type: 'object', description: 'Result of models that return JSON' }
+        }
+      },
+      Job: {
+        type: 'object',
+        properties: {
+          id: { type: 'string' },
+          status: { type: 'string', enum: ['queued', 'processing', 'succeeded', 'failed'] },
+          model: { type: 'string' },
+          tokens_reserved: { type: 'integer' },
+          error: { type: 'string' },
+          status_url: { type: 'string' },
+          result_url: { type: 'string' },
+          created_at: { type: 'string' },
+          started_at: { type: 'string' },
+          completed_at: { type: 'string' }
+        }
+      },
+      JobResponse: {
+        type: 'object',
+        properties: {
+          success: { type: 'boolean' },
+          job: { $ref: '#/components/schemas/Job' }
+        }
+      },
+      BatchResponse: {
+        type: 'object',
+        properties: {
+          success: { type: 'boolean' },
+          count: { type: 'integer' },
+          succeeded: { type: 'integer' },
+          failed: { type: 'integer' },
+          tokens_used: { type: 'integer' },
+          tokens_refunded: { type: 'integer' },
+          results: {
+            type: 'array',
+            items: {
+              type: 'object',
+              properties: {
+                index: { type: 'integer' },
+                success: { type: 'boolean' },
+                content_type: { type: 'string' },
+                data: { type: 'string', format: 'byte' },
+                error: { type: 'string' },
+                tokens_refunded: { type: 'integer' }
+              }
+            }
+          }
+        }
+      },
+      QuoteResponse: {
+        type: 'object',
+        properties: {
+          success: { type: 'boolean' },
+          model: { type: 'string' },
+          tokens: { type: 'integer' },
+          breakdown: {
+            type: 'array',
+            items: {
+              type: 'object',
+              properties: {
+                item: { type: 'string' },
+                quantity: { type: 'number' },
+                tokens: { type: 'number' }
+              }
+            }
+          },
+          tokens_remaining: { type: 'integer' },
+          affordable: { type: 'boolean' }
+        }
+      },
+      UsageReport: {
+        type: 'object',
+        properties: {
+          success: { type: 'boolean' },
+          from: { type: 'string', format: 'date' },
+          to: { type: 'string', format: 'date' },
+          group_by: { type: 'array', items: { type: 'string' } },
+          mode: { type: 'string', enum: TRAFFIC_MODES },
+          totals: { $ref: '#/components/schemas/UsageCounts' },
+          series: {
+            type: 'array',
+            items: {
+              allOf: [
+                {
+                  type: 'object',
+                  description: 'Only the fields of the requested groupings are present',
+                  properties: {
+                    day: { type: 'string', format: 'date' },
+                    api_key: {
+                      type: 'object',
+                      properties: { id: { type: 'integer' }, name: { type: 'string' }, prefix: { type: 'string' } }
+                    },
+                    endpoint: { type: 'string' },
+                    model: { type: 'string', nullable: true },
+                    status: { type: 'string', enum: ['success', 'refund'] },
+                    mode: { type: 'string', enum: ['live', 'test'] }
+                  }
+                },
+                { $ref: '#/components/schemas/UsageCounts' }
+              ]
+            }
+          }
+        }
+      },
+      UsageCounts: {
+        type: 'object',
+        properties: {
+          requests: { type: 'integer' },
+          succeeded: { type: 'integer' },
+          refunded: { type: 'integer', description: 'Requests whose tokens were given back after a failure' },
+          tokens_used: { type: 'integer' },
+          tokens_refunded: { type: 'integer' }
+        }
+      },
+      Preset: {
+        type: 'object',
+        properties: {
+          id: { type: 'integer', description: 'Only on your own presets' },
+          scope: { type: 'string', enum: ['user', 'global'] },
+          model: { type: 'string' },
+          name: { type: 'string' },
+          description: { type: 'string', nullable: true },
+          params: { type: 'object', additionalProperties: true },
+          created_at: { type: 'string' },
+          updated_at: { type: 'string' }
+        }
+      },
+      PresetInput: {
+        type: 'object',
+        required: ['name', 'params'],
+        properties: {
+          model: { type: 'string', description: 'Model id (only when creating)' },
+          name: { type: 'string', pattern: '^[A-Za-z0-9][A-Za-z0-9_-]{0,63}$' },
+          description: { type: 'string', maxLength: 200 },
+          params: { type: 'object', additionalProperties: true, description: 'Request fields of the model (no files)' }
+        }
+      },
+      PresetResponse: {
+        type: 'object',
+        properties: {
+          success: { type: 'boolean' },
+          preset: { $ref: '#/components/schemas/Preset' }
+        }
+      },
+      PresetListResponse: {
+        type: 'object',
+        properties: {
+          success: { type: 'boolean' },
+          presets: { type: 'array', items: { $ref: '#/components/schemas/Preset' } },
+          global: { type: 'array', items: { $ref: '#/components/schemas/Preset' } }
+        }
+      },
+      Generation: {
+        type: 'object',
+        properties: {
+          id: { type: 'string' },
+          model: { type: 'string' },
+          version: { type: 'string' },
+          endpoint: { type: 'string' },
+          params: { type: 'object', description: 'The validated request fields' },
+          tokens_used: { type: 'integer' },
+          usage_id: { type: 'integer', nullable: true },
+          inputs: {
+            type: 'array',
+            items: {
+              type: 'object',
+              properties: {
+                field: { type: 'string' },
+                content_type: { type: 'string' },
+                size: { type: 'integer' },
+                width: { type: 'integer' },
+                height: { type: 'integer' },
+                url: { type: 'string' }
+              }
+            }
+          },
+          output: {
+            type: 'object',
+            properties: {
+              content_type: { type: 'string' },
+              size: { type: 'integer' },
+              url: { type: 'string' }
+            }
+          },
+          created_at: { type: 'string' },
+          expires_at: { type: 'string' }
+        }
+      },
+      GenerationResponse: {
+        type: 'object',
+        properties: {
+          success: { type: 'boolean' },
+          generation: { $ref: '#/components/schemas/Generation' }
+        }
+      },
+      GenerationListResponse: {
+        type: 'object',
+        properties: {
+          success: { type: 'boolean' },
+          total: { type: 'integer' },
+          limit: { type: 'integer' },
+          offset: { type: 'integer' },
+          generations: { type: 'array', items: { $ref: '#/components/schemas/Generation' } }
+        }
+      },
+      ClientTokenInput: {
+        type: 'object',
+        properties: {
+          models: { type: 'array', items: { type: 'string' }, description: 'Model ids the token may call (default: every model the key may call)' },
+          budget: { type: 'integer', minimum: 1, nullable: true, description: 'Tokens the client token may spend in its lifetime' },
+          end_user_id: { type: 'string', maxLength: 128, nullable: true, description: 'Your id for the player the token is for' },
+          expires_in: { type: 'integer', minimum: 1, maximum: MAX_TTL_SECONDS, default: DEFAULT_TTL_SECONDS, description: 'Lifetime in seconds' }
+        }
+      },
+      ClientTokenResponse: {
+        type: 'object',
+        properties: {
+          success: { type: 'boolean' },
+          client_token: { type: 'string', description: 'Send it in X-API-Key (or as a bearer token) like an API key' },
+          expires_at: { type: 'string', format: 'date-time' },
+          models: { type: 'array', items: { type: 'string' }, nullable: true },
+          budget: { type: 'integer', nullable: true },
+          end_user_id: { type: 'string', nullable: true }
+        }
+      },
+      EndUserQuota: {
+        type: 'object',
+        properties: {
+          requests: { type: 'integer', minimum: 1, nullable: true, description: 'Billed requests per end user and period' },
+          tokens: { type: 'integer', minimum: 1, nullable: true, description: 'Tokens per end user and period' },
+          period: { type: 'string', enum: ['day', 'month'], default: 'day' }
+        }
+      },
+      EndUserQuotaResponse: {
+        type: 'object',
+        properties: {
+          success: { type: 'boolean' },
+          message: { type: 'string' },
+          quota: { $ref: '#/components/schemas/EndUserQuota' }
+        }
+      },
+      EndUserResponse: {
+        type: 'object',
+        properties: {
+          success: { type: 'boolean' },
+          end_user_id: { type: 'string' },
+          mode: { type: 'string', enum: ['live', 'test'] },
+          quota: {
+            type: 'object',
+            nullable: true,
+            description: 'Use of the quota in the current period (null when the account has no quota)',
+            properties: {
+              period: { type: 'string', enum: ['day', 'month'] },
+              resets_at: { type: 'string', format: 'date-time' },
+              requests: { $ref: '#/components/schemas/QuotaCounter' },
+              tokens: { $ref: '#/components/schemas/QuotaCounter' }
+            }
+          }
+        }
+      },
+      QuotaCounter: {
+        type: 'object',
+        properties: {
+          limit: { type: 'integer', nullable: true },
+          used: { type: 'integer' },
+          remaining: { type: 'integer', nullable: true }
+        }
+      },
+      UsageResponse: {
+        type: 'object',
+        properties: {
+          success: { type: 'boolean' },
+          data: {
+            type: 'object',
+            properties: {
+              tokens_remaining: { type: 'integer' },
+              subscription_tier: { type: 'string' },
+              subscription_status: { type: 'string' },
+              test_mode: { type: 'boolean' },
+              client_token: {
+                type: 'object',
+                nullable: true,
+                description: 'The client token the request was made with (null for API keys)',
+                properties: {
+                  expires_at: { type: 'string', format: 'date-time' },
+                  end_user_id: { type: 'string', nullable: true },
+                  budget: { type: 'object', nullable: true }
+                }
+              },
+              limits: {
+                type: 'object',
+                properties: {
+                  requests_per_minute: { type: 'integer' },
+                  max_concurrent_requests: { type: 'integer' }
+                }
+              }
+            }
+          }
+        }
+      }
+    }
+  };
+}
+
+// Build the OpenAPI document for the enabled models
+// serverUrl is the public origin of the API (e.g. https://theinteractivelabs.com)
+function buildOpenApiDocument(serverUrl) {
+  const paths = {};
+
+  for (const baseModel of getEnabledModels()) {
+    // The selectable endpoint is described with the current default version's schema
+    const defaultModel = getModelVersion(baseModel, getDefaultVersion(baseModel));
+    const method = baseModel.method.toLowerCase();
+
+    paths[baseModel.endpoint] = { [method]: buildModelOperation(defaultModel, false) };
+    paths[`${baseModel.endpoint}/quote`] = { post: buildQuoteOperation(defaultModel) };
+    if (defaultModel.batch) {
+      paths[`${baseModel.endpoint}/batch`] = { post: buildBatchOperation(defaultModel, false) };
+    }
+
+    for (const version of getModelVersions(baseModel)) {
+      const model = getModelVersion(baseModel, version);
+
+      paths[`${model.endpoint}/${version}`] = { [method]: buildModelOperation(model, true) };
+      if (model.batch) {
+        paths[`${model.endpoint}/${version}/batch`] = { post: buildBatchOperation(model, true) };
+      }
+    }
+  }
+
+  Object.assign(paths, buildSharedPaths());
+
+  return {
+    openapi: '3.0.3',
+    info: {
+      title: 'AI SaaS Platform API',
+      version: '1.0.0',
+      description: 'AI model endpoints billed in tokens. Authenticate with your API key in the X-API-Key header or as a Bearer token.'
+    },
+    servers: [{ url: serverUrl }],
+    security: [{ ApiKeyHeader: [] }, { BearerAuth: [] }],
+    tags: [
+      { name: 'Models' },
+      { name: 'Jobs' },
+      { name: 'Presets' },
+      { name: 'Generations' },
+      { name: 'Account' },
+      { name: 'Service' }
+    ],
+    paths,
+    components: buildComponents()
+  };
+}
+
+module.exports = {
+  buildOpenApiDocument
+};
@@ -0,0 +1,101 @@
+// Output negotiation - picks the response format (PNG, JPEG, WebP or a JSON envelope) for a model result
+const { MIME_TYPES, convertImage } = require('./images');
+
+// Formats a client can ask for with output_format
+const OUTPUT_FORMATS = ['png', 'jpeg', 'webp', 'json'];
+
+// Default quality for JPEG and WebP output
+const DEFAULT_QUALITY = 90;
+
+// Choose the output from the output_format / output_quality fields (body or query) or the Accept header
+// expectedType is the content type the model normally returns.
+// Returns { format, quality } where format is 'native' (send as returned), an image format or 'json',
+// or { status, error, message } when the request can't be satisfied.
+function negotiateOutput(req, expectedType) {
+  const requested = req.body?.output_format ?? req.query?.output_format;
+  const rawQuality = req.body?.output_quality ?? req.query?.output_quality;
+  const returnsImage = expectedType.startsWith('image/');
+
+  let quality;
+  if (rawQuality !== undefined && rawQuality !== '') {
+    quality = Number(rawQuality);
+    if (!Number.isInteger(quality) || quality < 1 || quality > 100) {
+      return { status: 400, error: 'Invalid output_quality', message: 'output_quality must be a whole number from 1 to 100' };
+    }
+  }
+
+  if (requested !== undefined && requested !== '') {
+    const format = String(requested).toLowerCase() === 'jpg' ? 'jpeg' : String(requested).toLowerCase();
+
+    if (!OUTPUT_FORMATS.includes(format)) {
+      return { status: 400, error: 'Invalid output_format', message: `output_format must be one of: ${OUTPUT_FORMATS.join(', ')}` };
+    }
+    if (format !== 'json' && !returnsImage) {
+      return { status: 400, error: 'Invalid output_format', message: 'This model returns JSON - only output_format=json is supported' };
+    }
+    return { format, quality };
+  }
+
+  // No Accept header (or */*) - send the result the way the backend returned it
+  const accept = req.headers.accept;
+  if (!accept || accept.split(',').every(type => type.trim().startsWith('*/*'))) {
+    return { format: 'native', quality };
+  }
+
+  const candidates = returnsImage
+    ? [expectedType, ...Object.values(MIME_TYPES).filter(type => type !== expectedType), 'application/json']
+    : ['application/json'];
+  const match = req.accepts(candidates);
+
+  if (!match) {
+    return { status: 406, error: 'Not Acceptable', message: `Supported response types: ${candidates.join(', ')}` };
+  }
+  if (match === 'application/json') {
+    return { format: 'json', quality };
+  }
+  // The model's own type needs no conversion unless a quality was asked for
+  if (match === expectedType && quality === undefined) {
+    return { format: 'native' };
+  }
+  return { format: Object.keys(MIME_TYPES).find(key => MIME_TYPES[key] === match), quality };
+}
+
+// Convert a { contentType, body } result to the negotiated image format (JSON envelopes keep the native image)
+async function renderResult(result, output) {
+  if (output.format === 'native' || output.format === 'json' || !result.contentType.startsWith('image/')) {
+    return result;
+  }
+
+  const contentType = MIME_TYPES[output.format];
+  if (contentType === result.contentType && output.quality === undefined) {
+    return result;
+  }
+
+  return {
+    contentType,
+    body: await convertImage(result.body, output.format, output.quality)
+  };
+}
+
+// JSON envelope with the result (base64 image, or parsed JSON) and the metadata otherwise sent as X-* headers
+function buildJsonEnvelope(result, meta) {
+  const envelope = {
+    success: true,
+    ...meta,
+    content_type: result.contentType
+  };
+
+  if (result.contentType.startsWith('application/json')) {
+    envelope.data = JSON.parse(result.body.toString());
+  } else {
+    envelope.image = result.body.toString('base64');
+  }
+
+  return envelope;
+}
+
+module.exports = {
+  negotiateOutput,
+  renderResult,
+  buildJsonEnvelope
+};
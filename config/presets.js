@@ -0,0 +1,157 @@
+// Prompt presets - named sets of request parameters a request can pick with preset=<name>
+// Users save their own presets (stored in the presets table); the platform ships the curated ones below.
+// Explicit request fields override the preset's values.
+const {
+  getPresetByName
+} = require('./database');
+const { validateRequest } = require('./models');
+
+// Curated presets available to every user, per model id
+const GLOBAL_PRESETS = {
+  'live-painting': [
+    {
+      name: 'photoreal',
+      description: 'Close to a photograph, keeps the composition of the painting',
+      params: {
+        prompt: 'professional photograph, natural lighting, highly detailed, photorealistic',
+        strength: 0.5,
+        steps: 4,
+        guidance: 1.0
+      }
+    },
+    {
+      name: 'watercolor',
+      description: 'Soft watercolor painting on textured paper',
+      params: {
+        prompt: 'watercolor painting, soft washes, textured paper, delicate brush strokes',
+        strength: 0.6,
+        steps: 6,
+        guidance: 2.0
+      }
+    },
+    {
+      name: 'concept-art',
+      description: 'Painterly game concept art with dramatic lighting',
+      params: {
+        prompt: 'digital concept art, dramatic lighting, painterly, artstation, highly detailed environment',
+        strength: 0.7,
+        steps: 8,
+        guidance: 3.0
+      }
+    },
+    {
+      name: 'pixel-art',
+      description: 'Retro pixel art sprite look',
+      params: {
+        prompt: 'pixel art, 16-bit, limited palette, crisp pixels, retro game',
+        strength: 0.75,
+        steps: 6,
+        guidance: 4.0
+      }
+    }
+  ]
+};
+
+// Preset names are used in form fields and URLs
+const PRESET_NAME_PATTERN = /^[a-z0-9][a-z0-9_-]{0,63}$/i;
+
+// Curated presets of a model
+function getGlobalPresets(modelId) {
+  return GLOBAL_PRESETS[modelId] || [];
+}
+
+// Check the parameters of a preset against the model's schema (file fields can't be part of a preset)
+// Returns { valid, errors, params } where params holds only the fields the preset sets, coerced to their types
+function validatePresetParams(model, params) {
+  if (typeof params !== 'object' || params === null || Array.isArray(params)) {
+    return { valid: false, errors: [{ field: 'params', message: 'must be an object' }], params: {} };
+  }
+
+  const errors = [];
+  const fileFields = model.requestSchema.fields.filter(field => field.type === 'file').map(field => field.name);
+  for (const name of Object.keys(params)) {
+    if (fileFields.includes(name)) {
+      errors.push({ field: name, message: 'files cannot be saved in a preset' });
+    }
+  }
+
+  const body = { ...params };
+  fileFields.forEach(name => delete body[name]);
+  const validation = validateRequest(model, { body }, { skipFiles: true });
+  errors.push(...validation.errors);
+
+  const values = {};
+  for (const name of Object.keys(body)) {
+    if (validation.values[name] !== undefined) {
+      values[name] = validation.values[name];
+    }
+  }
+
+  return { valid: errors.length === 0, errors, params: values };
+}
+
+// Find a preset by name - the user's own presets first, then the curated ones
+async function findPreset(model, userId, name) {
+  const row = await getPresetByName(userId, model.id, name);
+  if (row) {
+    return { name: row.name, scope: 'user', params: JSON.parse(row.params) };
+  }
+
+  const preset = getGlobalPresets(model.id).find(global => global.name === name);
+  return preset ? { name: preset.name, scope: 'global', params: preset.params } : null;
+}
+
+// Merge the preset named by body.preset into a request body - explicit (non-empty) fields win
+// Returns { body } without the preset field, or { error, message } when the preset doesn't exist
+async function applyPreset(model, userId, body) {
+  const { preset: name, ...fields } = body || {};
+  if (name === undefined || name === '') {
+    return { body: fields };
+  }
+
+  const preset = await findPreset(model, userId, String(name));
+  if (!preset) {
+    return {
+      error: 'Unknown preset',
+      message: `No preset named "${name}" for ${model.name}. List your presets at GET /api/v1/presets`
+    };
+  }
+
+  const explicit = Object.fromEntries(
+    Object.entries(fields).filter(([, value]) => value !== undefined && value !== null && value !== '')
+  );
+  return { body: { ...preset.params, ...explicit }, preset };
+}
+
+// Public representation of a user preset row
+function formatPreset(preset) {
+  return {
+    id: preset.id,
+    scope: 'user',
+    model: preset.model_id,
+    name: preset.name,
+    description: preset.description,
+    params: JSON.parse(preset.params),
+    created_at: preset.created_at,
+    updated_at: preset.updated_at
+  };
+}
+
+// Public representation of the curated presets of a model
+function describeGlobalPresets(modelId) {
+  return getGlobalPresets(modelId).map(preset => ({
+    scope: 'global',
+    model: modelId,
+    name: preset.name,
+    description: preset.description,
+    params: preset.params
+  }));
+}
+
+module.exports = {
+  PRESET_NAME_PATTERN,
+  validatePresetParams,
+  applyPreset,
+  formatPreset,
+  describeGlobalPresets
+};
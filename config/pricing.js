@@ -0,0 +1,100 @@
+// Token pricing - what a request costs, from the model's `pricing` rules (or its flat tokensPerRequest)
+//
+// pricing: {
+//   base: 1,                                               // Every request (defaults to tokensPerRequest)
+//   rules: [
+//     { field: 'steps', above: 4, tokens: 0.25 },          // Per unit of a numeric field beyond 4
+//     { image: 'image', per: 'megapixel', above: 1, tokens: 1 } // Per megapixel of an input image beyond 1
+//   ],
+//   min: 1,                                                // Bounds of the total, which is rounded up to whole tokens
+//   max: 50
+// }
+
+// Effective pricing of a model (models without rules cost a flat tokensPerRequest)
+function getPricing(model) {
+  return {
+    base: model.tokensPerRequest,
+    rules: [],
+    min: 0,
+    max: null,
+    ...model.pricing
+  };
+}
+
+// Human readable description of one rule
+function describeRule(rule) {
+  if (rule.description) {
+    return rule.description;
+  }
+
+  const unit = rule.image ? `megapixel of ${rule.image}` : rule.field;
+  const threshold = rule.above ? ` above ${rule.above}` : '';
+  return `${rule.tokens} token(s) per ${unit}${threshold}`;
+}
+
+// Quantity a rule is charged for - the field value or image megapixels beyond the rule's threshold
+function measureRule(rule, params, files) {
+  let value = 0;
+
+  if (rule.image) {
+    // Prepared files carry their dimensions (see config/images.js)
+    for (const file of files?.[rule.image] || []) {
+      value += (file.width || 0) * (file.height || 0) / 1e6;
+    }
+  } else {
+    value = Number(params?.[rule.field]) || 0;
+  }
+
+  return Math.max(0, value - (rule.above || 0));
+}
+
+// Price a validated request - params are validateRequest values, files the prepared uploads
+// Returns { tokens, breakdown } where breakdown lists what each part of the price is for
+function priceRequest(model, params, files) {
+  const pricing = getPricing(model);
+  const breakdown = [{ item: 'base', tokens: pricing.base }];
+  let total = pricing.base;
+
+  for (const rule of pricing.rules) {
+    const quantity = measureRule(rule, params, files);
+    if (quantity > 0) {
+      const tokens = quantity * rule.tokens;
+      breakdown.push({ item: describeRule(rule), quantity: Math.round(quantity * 100) / 100, tokens: Math.round(tokens * 100) / 100 });
+      total += tokens;
+    }
+  }
+
+  // Rounded up (with a small tolerance for floating point noise) and kept within bounds
+  let tokens = Math.ceil(total - 1e-9);
+  tokens = Math.max(tokens, pricing.min);
+  if (pricing.max !== null) {
+    tokens = Math.min(tokens, pricing.max);
+  }
+
+  return { tokens, breakdown };
+}
+
+// Pricing rules as published by GET /api/v1/models/:id
+function describePricing(model) {
+  const pricing = getPricing(model);
+
+  return {
+    base: pricing.base,
+    rules: pricing.rules.map(rule => ({
+      field: rule.field,
+      image: rule.image,
+      per: rule.image ? 'megapixel' : undefined,
+      above: rule.above || 0,
+      tokens: rule.tokens,
+      description: describeRule(rule)
+    })),
+    min: pricing.min,
+    max: pricing.max,
+    rounding: 'up'
+  };
+}
+
+module.exports = {
+  priceRequest,
+  describePricing
+};
@@ -1,15 +1,27 @@
 // Token renewal scheduler for free tier users (20 tokens every 30 days)
-const { getUsersNeedingTokenReset, resetUserTokens } = require('./database');
+const {
+  getUsersNeedingTokenReset,
+  resetUserTokens,
+  deleteJobsOlderThan,
+  deleteExpiredIdempotencyRecords,
+  deleteExpiredCachedResults,
+  deactivateRotatedApiKeys
+} = require('./database');
+const { deleteExpiredGenerations } = require('./generations');
+const { getStateStore, runExclusively } = require('./state');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Finished async jobs (and their stored results) are kept this many days
+const JOB_RETENTION_DAYS = parseInt(process.env.JOB_RETENTION_DAYS) || 7;
 
 // Check and reset tokens for free tier users every day at midnight
 function startTokenRenewalScheduler() {
-  // Run immediately on startup
-  checkAndResetTokens();
-
-  // Then run every 24 hours
-  setInterval(() => {
-    checkAndResetTokens();
-  }, 24 * 60 * 60 * 1000); // 24 hours
+  // Run immediately on startup, then every 24 hours - on one instance only when several share the state store
+  const run = () => runExclusively('token-renewal', DAY_MS, checkAndResetTokens)
+    .catch(error => console.error('Token renewal scheduler error:', error));
+  run();
+  setInterval(run, DAY_MS);
 
   console.log('✓ Token renewal scheduler started');
 }
@@ -44,6 +56,52 @@ async function checkAndResetTokens() {
   }
 }
 
+// Delete finished async jobs, expired idempotency keys, cached results, generations and shared state,
+// and deactivate rotated API keys whose grace period is over
+// Runs on one instance only when several share the state store
+function startCleanupScheduler() {
+  const run = () => runExclusively('cleanup', DAY_MS, runCleanup)
+    .catch(error => console.error('Cleanup scheduler error:', error));
+  run();
+  setInterval(run, DAY_MS);
+
+  console.log('✓ Cleanup scheduler started');
+}
+
+async function runCleanup() {
+  try {
+    const jobs = await deleteJobsOlderThan(JOB_RETENTION_DAYS);
+    if (jobs.rowsAffected > 0) {
+      console.log(`Cleanup: Deleted ${jobs.rowsAffected} jobs older than ${JOB_RETENTION_DAYS} days`);
+    }
+
+    const idempotencyKeys = await deleteExpiredIdempotencyRecords();
+    if (idempotencyKeys.rowsAffected > 0) {
+      console.log(`Cleanup: Deleted ${idempotencyKeys.rowsAffected} expired idempotency keys`);
+    }
+
+    const cachedResults = await deleteExpiredCachedResults();
+    if (cachedResults.rowsAffected > 0) {
+      console.log(`Cleanup: Deleted ${cachedResults.rowsAffected} expired cached results`);
+    }
+
+    const generations = await deleteExpiredGenerations();
+    if (generations > 0) {
+      console.log(`Cleanup: Deleted ${generations} generations past their retention`);
+    }
+
+    const rotatedKeys = await deactivateRotatedApiKeys();
+    if (rotatedKeys.rowsAffected > 0) {
+      console.log(`Cleanup: Deactivated ${rotatedKeys.rowsAffected} rotated API keys past their grace period`);
+    }
+
+    await getStateStore().deleteExpired();
+  } catch (error) {
+    console.error('Cleanup scheduler error:', error);
+  }
+}
+
 module.exports = {
-  startTokenRenewalScheduler
+  startTokenRenewalScheduler,
+  startCleanupScheduler
 };
\ No newline at end of file
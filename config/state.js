@@ -0,0 +1,253 @@
+// Shared state - counters, slots and locks that have to hold across every server instance
+// STATE_STORE picks the store: 'memory' (default, a single instance) or 'libsql' (the app database, shared
+// by every instance that uses it). Add another (e.g. Redis) with registerStateStore. A store is an object with:
+//   increment(key, windowMs)       fixed window counter - resolves to { count, resetTime } (ms timestamp)
+//   decrement(key) / reset(key)    undo one hit / drop the counter
+//   get(key)                       resolves to { count, resetTime } or null
+//   acquireSlot(group, id, limit, ttlMs)   take a slot while fewer than limit are held - resolves to true or false
+//   renewSlot(group, id, ttlMs) / releaseSlot(group, id)   a slot runs out ttlMs after it was taken or renewed
+//   acquireLock(name, owner, ttlMs) / releaseLock(name, owner)
+//   deleteExpired()                housekeeping, called by the cleanup scheduler
+// All methods are async.
+const crypto = require('crypto');
+const {
+  incrementSharedCounter,
+  decrementSharedCounter,
+  deleteSharedCounter,
+  getSharedCounter,
+  acquireSharedSlot,
+  renewSharedSlot,
+  releaseSharedSlot,
+  acquireSharedLock,
+  releaseSharedLock,
+  deleteExpiredSharedState
+} = require('./database');
+
+// Identifies this process as a lock or slot owner (and as the instance running an async job)
+const INSTANCE_ID = `${process.pid}-${crypto.randomBytes(6).toString('hex')}`;
+
+// In-process store - correct only while a single instance serves traffic
+function createMemoryStore() {
+  const counters = new Map();
+  const locks = new Map();
+  const slots = new Map(); // group -> Map of slot id -> expiry
+
+  const live = (entry) => entry && entry.expiresAt > Date.now() ? entry : null;
+
+  return {
+    async increment(key, windowMs) {
+      let entry = live(counters.get(key));
+      if (!entry) {
+        entry = { count: 0, expiresAt: Date.now() + windowMs };
+        counters.set(key, entry);
+      }
+      entry.count++;
+      return { count: entry.count, resetTime: entry.expiresAt };
+    },
+
+    async decrement(key) {
+      const entry = live(counters.get(key));
+      if (entry && entry.count > 0) {
+        entry.count--;
+      }
+    },
+
+    async reset(key) {
+      counters.delete(key);
+    },
+
+    async get(key) {
+      const entry = live(counters.get(key));
+      return entry ? { count: entry.count, resetTime: entry.expiresAt } : null;
+    },
+
+    async acquireSlot(group, id, limit, ttlMs) {
+      const held = slots.get(group) || new Map();
+      const now = Date.now();
+      if ([...held.values()].filter(expiresAt => expiresAt > now).length >= limit) {
+        return false;
+      }
+      held.set(id, now + ttlMs);
+      slots.set(group, held);
+      return true;
+    },
+
+    async renewSlot(group, id, ttlMs) {
+      const held = slots.get(group);
+      if (held?.has(id)) {
+        held.set(id, Date.now() + ttlMs);
+      }
+    },
+
+    async releaseSlot(group, id) {
+      const held = slots.get(group);
+      held?.delete(id);
+      if (held?.size === 0) {
+        slots.delete(group);
+      }
+    },
+
+    async acquireLock(name, owner, ttlMs) {
+      const lock = live(locks.get(name));
+      if (lock && lock.owner !== owner) {
+        return false;
+      }
+      locks.set(name, { owner, expiresAt: Date.now() + ttlMs });
+      return true;
+    },
+
+    async releaseLock(name, owner) {
+      if (locks.get(name)?.owner === owner) {
+        locks.delete(name);
+      }
+    },
+
+    async deleteExpired() {
+      for (const map of [counters, locks]) {
+        for (const [key, entry] of map) {
+          if (!live(entry)) {
+            map.delete(key);
+          }
+        }
+      }
+      const now = Date.now();
+      for (const [group, held] of slots) {
+        for (const [id, expiresAt] of held) {
+          if (expiresAt <= now) {
+            held.delete(id);
+          }
+        }
+        if (held.size === 0) {
+          slots.delete(group);
+        }
+      }
+    }
+  };
+}
+
+// Store in the app database (shared_counters and shared_locks tables)
+function createLibsqlStore() {
+  return {
+    increment: (key, windowMs) => incrementSharedCounter(key, windowMs),
+    decrement: (key) => decrementSharedCounter(key),
+    reset: (key) => deleteSharedCounter(key),
+    get: (key) => getSharedCounter(key),
+    acquireSlot: (group, id, limit, ttlMs) => acquireSharedSlot(group, id, limit, ttlMs),
+    renewSlot: (group, id, ttlMs) => renewSharedSlot(group, id, ttlMs),
+    releaseSlot: (group, id) => releaseSharedSlot(group, id),
+    acquireLock: (name, owner, ttlMs) => acquireSharedLock(name, owner, ttlMs),
+    releaseLock: (name, owner) => releaseSharedLock(name, owner),
+    deleteExpired: () => deleteExpiredSharedState()
+  };
+}
+
+const stores = {
+  memory: createMemoryStore,
+  libsql: createLibsqlStore
+};
+
+let store = null;
+
+// Make another state store available to STATE_STORE
+function registerStateStore(name, factory) {
+  stores[name] = factory;
+}
+
+// The configured state store (created on first use)
+function getStateStore() {
+  if (!store) {
+    const name = process.env.STATE_STORE || 'memory';
+    if (!stores[name]) {
+      throw new Error(`Unknown STATE_STORE "${name}". Available: ${Object.keys(stores).join(', ')}`);
+    }
+    store = stores[name]();
+  }
+  return store;
+}
+
+// express-rate-limit store on top of the state store - each limiter needs its own prefix
+function createRateLimitStore(prefix) {
+  let windowMs = 60 * 1000;
+
+  return {
+    localKeys: false,
+    prefix,
+
+    init(options) {
+      windowMs = options.windowMs;
+    },
+
+    async get(key) {
+      const entry = await getStateStore().get(`${prefix}${key}`);
+      return entry ? { totalHits: entry.count, resetTime: new Date(entry.resetTime) } : undefined;
+    },
+
+    async increment(key) {
+      const entry = await getStateStore().increment(`${prefix}${key}`, windowMs);
+      return { totalHits: entry.count, resetTime: new Date(entry.resetTime) };
+    },
+
+    async decrement(key) {
+      await getStateStore().decrement(`${prefix}${key}`);
+    },
+
+    async resetKey(key) {
+      await getStateStore().reset(`${prefix}${key}`);
+    }
+  };
+}
+
+// A held slot runs out this long after its last renewal - the holder renews it every third of that, so
+// slots held by a crashed instance come back within a minute
+const SLOT_TTL_MS = 60 * 1000;
+
+// Hold one of limit slots in a group (e.g. a user's concurrent requests) until released
+// Resolves to a release function, or null when all slots are taken. Releasing twice is harmless.
+async function holdSlot(group, limit) {
+  const store = getStateStore();
+  const id = `${INSTANCE_ID}-${crypto.randomBytes(6).toString('hex')}`;
+
+  if (!await store.acquireSlot(group, id, limit, SLOT_TTL_MS)) {
+    return null;
+  }
+
+  const renewal = setInterval(() => {
+    store.renewSlot(group, id, SLOT_TTL_MS).catch(error => {
+      console.error(`Failed to renew slot ${group}:`, error.message);
+    });
+  }, SLOT_TTL_MS / 3);
+  renewal.unref();
+
+  let released = false;
+  return () => {
+    if (released) {
+      return;
+    }
+    released = true;
+    clearInterval(renewal);
+
+    store.releaseSlot(group, id).catch(error => {
+      console.error(`Failed to release slot ${group}:`, error.message);
+    });
+  };
+}
+
+// Run a periodic task on only one instance per period
+// The lock is kept (not released) for most of the period, so instances that tick later skip it
+async function runExclusively(name, periodMs, task) {
+  const acquired = await getStateStore().acquireLock(`task:${name}`, INSTANCE_ID, Math.floor(periodMs * 0.9));
+  if (!acquired) {
+    return false;
+  }
+  await task();
+  return true;
+}
+
+module.exports = {
+  INSTANCE_ID,
+  registerStateStore,
+  getStateStore,
+  createRateLimitStore,
+  holdSlot,
+  runExclusively
+};
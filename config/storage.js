@@ -0,0 +1,63 @@
+// Blob storage for generation history - pluggable drivers, the local filesystem by default
+// STORAGE_DRIVER picks the driver. A driver is an object with async put(key, buffer, contentType),
+// get(key) (resolves to a Buffer) and delete(key). Add one with registerStorageDriver (e.g. S3 or R2).
+const fs = require('fs/promises');
+const path = require('path');
+
+// Local filesystem driver - files under STORAGE_DIR (default ./storage)
+function createLocalStorage() {
+  const root = path.resolve(process.env.STORAGE_DIR || path.join(__dirname, '..', 'storage'));
+
+  // Keys are generated by us, but never let one point outside the storage directory
+  const resolveKey = (key) => {
+    const filePath = path.resolve(root, key);
+    if (!filePath.startsWith(root + path.sep)) {
+      throw new Error(`Invalid storage key: ${key}`);
+    }
+    return filePath;
+  };
+
+  return {
+    async put(key, buffer) {
+      const filePath = resolveKey(key);
+      await fs.mkdir(path.dirname(filePath), { recursive: true });
+      await fs.writeFile(filePath, buffer);
+    },
+
+    async get(key) {
+      return fs.readFile(resolveKey(key));
+    },
+
+    async delete(key) {
+      await fs.rm(resolveKey(key), { force: true });
+    }
+  };
+}
+
+const drivers = {
+  local: createLocalStorage
+};
+
+let storage = null;
+
+// Make another storage driver available to STORAGE_DRIVER
+function registerStorageDriver(name, factory) {
+  drivers[name] = factory;
+}
+
+// The configured storage driver (created on first use)
+function getStorage() {
+  if (!storage) {
+    const name = process.env.STORAGE_DRIVER || 'local';
+    if (!drivers[name]) {
+      throw new Error(`Unknown STORAGE_DRIVER "${name}". Available: ${Object.keys(drivers).join(', ')}`);
+    }
+    storage = drivers[name]();
+  }
+  return storage;
+}
+
+module.exports = {
+  registerStorageDriver,
+  getStorage
+};
@@ -0,0 +1,51 @@
+// Test mode - sk_test_ keys run the full request pipeline (validation, rate limits, jobs, streaming)
+// against a built-in stub instead of the model backend, and never spend tokens
+const crypto = require('crypto');
+const sharp = require('sharp');
+
+const TEST_KEY_PREFIX = 'sk_test_';
+
+// Is this a test key? (keyData from getApiKeyByHash)
+function isTestKey(keyData) {
+  return keyData?.mode === 'test';
+}
+
+// Params as a string that doesn't depend on key order
+function stableParams(params) {
+  return JSON.stringify(Object.keys(params || {}).sort().map(name => [name, params[name]]));
+}
+
+// Tint color of a request - the same params always give the same color
+function getTestTint(params) {
+  const hash = crypto.createHash('sha256').update(stableParams(params)).digest();
+  return { r: hash[0], g: hash[1], b: hash[2] };
+}
+
+// Deterministic stand-in for callModelBackend (same response shape: { data, headers })
+// Image models get the first input image tinted with a color derived from the params (or a 64x64 swatch
+// of that color when there is no image), JSON models get an echo of the request
+async function callTestBackend(model, files, params) {
+  if (model.responseType === 'application/json') {
+    return {
+      data: { test: true, model: model.id, version: model.version, params },
+      headers: { 'content-type': 'application/json' }
+    };
+  }
+
+  const tint = getTestTint(params);
+  const input = Object.values(files || {}).flat().find(file => file.mimetype?.startsWith('image/'));
+  const image = input
+    ? sharp(input.buffer).tint(tint)
+    : sharp({ create: { width: 64, height: 64, channels: 3, background: tint } });
+
+  return {
+    data: await image.png().toBuffer(),
+    headers: { 'content-type': 'image/png' }
+  };
+}
+
+module.exports = {
+  TEST_KEY_PREFIX,
+  isTestKey,
+  callTestBackend
+};
@@ -0,0 +1,169 @@
+// Usage reports - requests and tokens over a date range, grouped by day, API key, endpoint, status, mode and end user
+const { getUserUsageStats, USAGE_GROUP_COLUMNS } = require('./database');
+const { MODELS, API_BASE_PATH } = require('./models');
+const { parseEndUserId } = require('./endUsers');
+
+const GROUP_BY_OPTIONS = Object.keys(USAGE_GROUP_COLUMNS);
+const TRAFFIC_MODES = ['live', 'test', 'all'];
+const DEFAULT_RANGE_DAYS = 30;
+const MAX_RANGE_DAYS = 366;
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Format a Date as YYYY-MM-DD (UTC)
+function formatDay(date) {
+  return date.toISOString().slice(0, 10);
+}
+
+// Parse a YYYY-MM-DD query value (UTC) - null when missing, undefined when invalid
+function parseDay(value) {
+  if (value === undefined || value === '') {
+    return null;
+  }
+  if (!/^\d{4}-\d{2}-\d{2}$/.test(value)) {
+    return undefined;
+  }
+  const date = new Date(`${value}T00:00:00Z`);
+  return Number.isNaN(date.getTime()) || formatDay(date) !== value ? undefined : date;
+}
+
+// Read a usage report query (?from=&to=&group_by=&api_key=&mode=&end_user=)
+// mode picks live traffic (default), test traffic (sk_test_ keys) or all of it; end_user limits it to one end user
+// Returns { options } for getUserUsageStats or { error, message } for a bad query
+function parseUsageQuery(query) {
+  const to = parseDay(query.to);
+  const from = parseDay(query.from);
+  if (to === undefined || from === undefined) {
+    return { error: 'Invalid date', message: 'from and to must be dates in YYYY-MM-DD format' };
+  }
+
+  // The last 30 days by default
+  const toDate = to || new Date(`${formatDay(new Date())}T00:00:00Z`);
+  const fromDate = from || new Date(toDate.getTime() - (DEFAULT_RANGE_DAYS - 1) * DAY_MS);
+  if (fromDate > toDate) {
+    return { error: 'Invalid date range', message: 'from must not be after to' };
+  }
+  if ((toDate - fromDate) / DAY_MS + 1 > MAX_RANGE_DAYS) {
+    return { error: 'Invalid date range', message: `A report covers at most ${MAX_RANGE_DAYS} days` };
+  }
+
+  const groupBy = String(query.group_by || 'day').split(',').map(group => group.trim()).filter(Boolean);
+  const unknown = groupBy.filter(group => !GROUP_BY_OPTIONS.includes(group));
+  if (unknown.length > 0) {
+    return { error: 'Invalid group_by', message: `Unknown grouping: ${unknown.join(', ')}. Use any of: ${GROUP_BY_OPTIONS.join(', ')}` };
+  }
+
+  let apiKeyId = null;
+  if (query.api_key !== undefined && query.api_key !== '') {
+    apiKeyId = parseInt(query.api_key);
+    if (!Number.isInteger(apiKeyId)) {
+      return { error: 'Invalid api_key', message: 'api_key must be the numeric id of one of your API keys' };
+    }
+  }
+
+  const mode = query.mode || 'live';
+  if (!TRAFFIC_MODES.includes(mode)) {
+    return { error: 'Invalid mode', message: `mode must be one of: ${TRAFFIC_MODES.join(', ')}` };
+  }
+
+  const endUser = parseEndUserId(query.end_user);
+  if (endUser.error) {
+    return { error: 'Invalid end_user', message: endUser.message };
+  }
+
+  return {
+    options: {
+      from: formatDay(fromDate),
+      to: formatDay(toDate),
+      groupBy: [...new Set(groupBy)],
+      apiKeyId,
+      mode,
+      endUserId: endUser.endUserId
+    }
+  };
+}
+
+// Model id behind an api_usage endpoint (model requests and live sessions)
+function getModelForEndpoint(endpoint) {
+  const model = Object.values(MODELS).find(model =>
+    endpoint === model.endpoint || endpoint === `${API_BASE_PATH}/stream/${model.id}`);
+  return model ? model.id : null;
+}
+
+// Build a usage report for a user - { from, to, group_by, mode, end_user, totals, series }
+async function buildUsageReport(userId, options) {
+  const rows = await getUserUsageStats(userId, options);
+
+  const series = rows.map(row => ({
+    day: row.day,
+    api_key: row.api_key_id === undefined ? undefined : {
+      id: row.api_key_id,
+      name: row.api_key_name,
+      prefix: row.api_key_prefix
+    },
+    endpoint: row.endpoint,
+    model: row.endpoint === undefined ? undefined : getModelForEndpoint(row.endpoint),
+    status: row.status,
+    mode: row.mode,
+    end_user: row.end_user_id,
+    requests: Number(row.requests),
+    succeeded: Number(row.succeeded),
+    refunded: Number(row.refunded),
+    tokens_used: Number(row.tokens_used),
+    tokens_refunded: Number(row.tokens_refunded)
+  }));
+
+  const totals = { requests: 0, succeeded: 0, refunded: 0, tokens_used: 0, tokens_refunded: 0 };
+  for (const entry of series) {
+    for (const name of Object.keys(totals)) {
+      totals[name] += entry[name];
+    }
+  }
+
+  return {
+    from: options.from,
+    to: options.to,
+    group_by: options.groupBy,
+    api_key: options.apiKeyId || undefined,
+    mode: options.mode,
+    end_user: options.endUserId || undefined,
+    totals,
+    series
+  };
+}
+
+// Quote a CSV value when needed
+function csvValue(value) {
+  const text = value === undefined || value === null ? '' : String(value);
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+// CSV version of a usage report - one line per series entry
+function formatUsageCsv(report) {
+  const columns = [];
+  for (const group of report.group_by) {
+    if (group === 'api_key') {
+      columns.push(['api_key_id', entry => entry.api_key.id], ['api_key_name', entry => entry.api_key.name], ['api_key_prefix', entry => entry.api_key.prefix]);
+    } else if (group === 'endpoint') {
+      columns.push(['endpoint', entry => entry.endpoint], ['model', entry => entry.model]);
+    } else {
+      columns.push([group, entry => entry[group]]);
+    }
+  }
+  for (const name of ['requests', 'succeeded', 'refunded', 'tokens_used', 'tokens_refunded']) {
+    columns.push([name, entry => entry[name]]);
+  }
+
+  const lines = [columns.map(([name]) => name).join(',')];
+  for (const entry of report.series) {
+    lines.push(columns.map(([, read]) => csvValue(read(entry))).join(','));
+  }
+  return lines.join('\r\n') + '\r\n';
+}
+
+module.exports = {
+  GROUP_BY_OPTIONS,
+  TRAFFIC_MODES,
+  parseUsageQuery,
+  buildUsageReport,
+  formatUsageCsv
+};
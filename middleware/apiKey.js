@@ -0,0 +1,232 @@
+// API key authentication middleware - verifies keys sent by API clients
+const { hashApiKey } = require('../routes/apikey');
+const { getApiKeyByHash, getActiveApiKeyById } = require('../config/database');
+const { loadKeyBudget, checkKeyBudget } = require('../config/budgets');
+const { checkKeyScopes, checkModelScope } = require('../config/keyScopes');
+const { checkRotationGrace } = require('../config/keyRotation');
+const { isTestKey } = require('../config/testMode');
+const { isClientToken, verifyClientToken, applyClientToken } = require('../config/clientTokens');
+const { END_USER_HEADER, resolveEndUser, loadEndUserQuota, checkEndUserQuota } = require('../config/endUsers');
+const { accountRateLimit } = require('./rateLimit');
+
+// Read the API key (or client token) from the X-API-Key or Authorization: Bearer header
+function getRequestApiKey(req) {
+  return req.headers['x-api-key'] || req.headers['authorization']?.replace('Bearer ', '');
+}
+
+// Who is calling, for the key's scopes, and which end user (player) the request is for
+// Works for Express requests and raw WebSocket upgrade requests
+function getRequestClient(req) {
+  return {
+    ip: req.ip || req.socket?.remoteAddress,
+    origin: req.headers.origin,
+    method: req.method,
+    endUserId: req.headers[END_USER_HEADER]
+  };
+}
+
+// Check an API key - returns { keyData, warning, keyWarning } or { status, headers, body } describing why it was rejected
+// keyWarning is set while a rotated key is in its grace period
+// requireTokens rejects keys whose account has no tokens left, or whose own budget is used up
+// client ({ ip, origin, method, endUserId }, see getRequestClient) is checked against the key's scopes,
+// and requireTokens also rejects end users who have used up the account's per end user quota
+// allowClientTokens also accepts ct_ client tokens (config/clientTokens.js) in place of the key they were issued for
+async function resolveApiKey(apiKey, { requireTokens, client, allowClientTokens = false }) {
+  if (!apiKey) {
+    return {
+      status: 401,
+      body: {
+        success: false,
+        error: 'API key required',
+        message: 'Please provide your API key in the X-API-Key header'
+      }
+    };
+  }
+
+  // A client token stands in for the key it was issued for, with the token's own scopes
+  if (isClientToken(apiKey)) {
+    if (!allowClientTokens) {
+      return {
+        status: 403,
+        body: {
+          success: false,
+          error: 'Client token not allowed',
+          message: 'Client tokens can only call models and read their jobs. Use a secret API key from your server.'
+        }
+      };
+    }
+    return resolveClientToken(apiKey, { requireTokens, client });
+  }
+
+  // Hash the provided key and look it up
+  const keyHash = hashApiKey(apiKey);
+  const keyData = await getApiKeyByHash(keyHash);
+
+  return checkApiKey(keyData, { requireTokens, client });
+}
+
+// Check a client token, then the key it was issued for
+async function resolveClientToken(token, { requireTokens, client }) {
+  const verified = verifyClientToken(token);
+  if (verified.status) {
+    return verified;
+  }
+
+  const keyData = await getActiveApiKeyById(verified.claims.key);
+  if (!keyData) {
+    return {
+      status: 401,
+      body: {
+        success: false,
+        error: 'Invalid client token',
+        message: 'The API key this client token was issued for has been revoked'
+      }
+    };
+  }
+
+  return checkApiKey(await applyClientToken(keyData, verified.claims), { requireTokens, client });
+}
+
+// Checks shared by API keys and client tokens (keyData is null when the key wasn't found)
+async function checkApiKey(keyData, { requireTokens, client }) {
+  if (!keyData) {
+    return {
+      status: 401,
+      body: {
+        success: false,
+        error: 'Invalid API key',
+        message: 'The provided API key is invalid or has been revoked'
+      }
+    };
+  }
+
+  // A rotated key works until its grace period ends
+  const rotation = await checkRotationGrace(keyData);
+  if (rotation.status) {
+    return rotation;
+  }
+
+  // Check the key's expiry, IP, Origin and read-only scopes
+  const outOfScope = checkKeyScopes(keyData, client, { requireTokens });
+  if (outOfScope) {
+    return outOfScope;
+  }
+
+  // Check if user has tokens (test keys never spend any)
+  const testMode = isTestKey(keyData);
+  if (requireTokens && !testMode && keyData.tokens <= 0) {
+    return {
+      status: 402,
+      body: {
+        success: false,
+        error: 'Insufficient tokens',
+        message: 'You have run out of tokens. Please upgrade your subscription.',
+        tokens_remaining: 0
+      }
+    };
+  }
+
+  // Check the key's own budget and the client token's (keyData.budget is kept up to date by reserveTokens)
+  if (requireTokens && !testMode) {
+    if (keyData.token_budget !== null && keyData.token_budget !== undefined) {
+      keyData.budget = await loadKeyBudget(keyData);
+    }
+    const overBudget = checkKeyBudget(keyData, 1);
+    if (overBudget) {
+      return overBudget;
+    }
+  }
+
+  // Attribute the request to its end user (keyData.end_user.quota is kept up to date by reserveTokens)
+  const endUser = resolveEndUser(keyData, client.endUserId);
+  if (endUser.status) {
+    return endUser;
+  }
+  keyData.end_user = endUser.endUserId ? { id: endUser.endUserId, quota: null } : null;
+
+  if (requireTokens && keyData.end_user) {
+    keyData.end_user.quota = await loadEndUserQuota(keyData, keyData.user_id, keyData.end_user.id, { test: testMode });
+    const overQuota = checkEndUserQuota(keyData, testMode ? 0 : 1);
+    if (overQuota) {
+      return overQuota;
+    }
+  }
+
+  // Check subscription status
+  let warning = null;
+  if (keyData.subscription_status === 'canceled' || keyData.subscription_status === 'past_due') {
+    // Still allow usage if they have tokens, but warn them
+    warning = `Your subscription is ${keyData.subscription_status}. Please update your payment method.`;
+  }
+
+  return { keyData, warning, keyWarning: rotation.warning || null };
+}
+
+// Build API key middleware from resolveApiKey options (requireTokens, allowClientTokens)
+function createApiKeyAuth(options) {
+  return async (req, res, next) => {
+    try {
+      const result = await resolveApiKey(getRequestApiKey(req), { ...options, client: getRequestClient(req) });
+
+      if (!result.keyData) {
+        return res.status(result.status).set(result.headers || {}).json(result.body);
+      }
+
+      if (result.warning) {
+        req.warningMessage = result.warning;
+      }
+
+      // Every response to a rotated key says when it stops working
+      if (result.keyWarning) {
+        res.set('X-API-Key-Warning', result.keyWarning);
+      }
+
+      // Test keys get stub results and are never charged
+      if (isTestKey(result.keyData)) {
+        res.set('X-Test-Mode', 'true');
+      }
+
+      // Attach key data to request
+      req.apiKeyData = result.keyData;
+      next();
+
+    } catch (error) {
+      console.error('API key authentication error:', error);
+      res.status(500).json({
+        success: false,
+        error: 'Authentication failed',
+        message: 'Internal server error'
+      });
+    }
+  };
+}
+
+// Reject keys whose model scope doesn't include the model (runs after API key authentication)
+function authorizeModel(model) {
+  return (req, res, next) => {
+    const outOfScope = checkModelScope(req.apiKeyData, model);
+    if (outOfScope) {
+      return res.status(outOfScope.status).json(outOfScope.body);
+    }
+    next();
+  };
+}
+
+// Authenticate API key or client token for billable endpoints (model requests), then apply the account's rate limit
+const authenticateApiKey = [createApiKeyAuth({ requireTokens: true, allowClientTokens: true }), accountRateLimit];
+
+// Authenticate API key for endpoints that don't spend tokens (usage, presets, history), then apply the account's rate limit
+const identifyApiKey = [createApiKeyAuth({ requireTokens: false }), accountRateLimit];
+
+// Same as identifyApiKey, also accepting client tokens (quotes, job status and results)
+const identifyClient = [createApiKeyAuth({ requireTokens: false, allowClientTokens: true }), accountRateLimit];
+
+module.exports = {
+  getRequestApiKey,
+  getRequestClient,
+  resolveApiKey,
+  authorizeModel,
+  authenticateApiKey,
+  identifyApiKey,
+  identifyClient
+};
@@ -0,0 +1,142 @@
+// Idempotency middleware - replays the stored outcome when a client retries with the same Idempotency-Key
+const crypto = require('crypto');
+const {
+  getIdempotencyRecord,
+  createIdempotencyRecord,
+  completeIdempotencyRecord,
+  deleteIdempotencyRecord
+} = require('../config/database');
+
+// How long a key's outcome is kept for replay
+const IDEMPOTENCY_TTL_HOURS = parseInt(process.env.IDEMPOTENCY_TTL_HOURS) || 24;
+
+// Response headers stored with the outcome (the rest are regenerated on replay)
+const REPLAYED_HEADERS = ['content-type', 'location'];
+
+// Fingerprint of the request, so a key can't be reused for a different request
+function hashRequest(req) {
+  const hash = crypto.createHash('sha256');
+  hash.update(`${req.method} ${req.baseUrl}${req.path}\n`);
+
+  const body = req.body || {};
+  for (const name of Object.keys(body).sort()) {
+    hash.update(`${name}=${JSON.stringify(body[name])}\n`);
+  }
+
+  for (const name of Object.keys(req.files || {}).sort()) {
+    for (const file of req.files[name]) {
+      hash.update(`${name}:`).update(file.buffer).update('\n');
+    }
+  }
+
+  return hash.digest('hex');
+}
+
+// Keep the headers worth replaying (content type, location and our X-* headers)
+function pickReplayedHeaders(headers) {
+  const picked = {};
+  for (const [name, value] of Object.entries(headers)) {
+    if (REPLAYED_HEADERS.includes(name) || name.startsWith('x-')) {
+      picked[name] = value;
+    }
+  }
+  return picked;
+}
+
+// Must run after authenticateApiKey (key identity) and the upload (request fingerprint)
+async function idempotency(req, res, next) {
+  const idempotencyKey = req.headers['idempotency-key'];
+
+  if (idempotencyKey === undefined) {
+    return next();
+  }
+
+  if (!idempotencyKey || idempotencyKey.length > 255) {
+    return res.status(400).json({
+      success: false,
+      error: 'Invalid Idempotency-Key',
+      message: 'Idempotency-Key must be between 1 and 255 characters'
+    });
+  }
+
+  try {
+    const requestHash = hashRequest(req);
+    let record = await getIdempotencyRecord(req.apiKeyData.id, idempotencyKey);
+
+    // Expired keys, and requests that never finished (e.g. the server restarted), start over
+    if (record && (record.expired || (record.status === 'in_progress' && record.stale))) {
+      await deleteIdempotencyRecord(record.id);
+      record = null;
+    }
+
+    if (record) {
+      if (record.request_hash !== requestHash) {
+        return res.status(422).json({
+          success: false,
+          error: 'Idempotency-Key reused',
+          message: 'This Idempotency-Key was already used for a different request'
+        });
+      }
+
+      if (record.status === 'in_progress') {
+        return res.status(409).json({
+          success: false,
+          error: 'Request in progress',
+          message: 'A request with this Idempotency-Key is still being processed. Retry later.'
+        });
+      }
+
+      // Replay the original outcome - no new charge, no new backend call
+      res.status(record.response_status);
+      res.set(JSON.parse(record.response_headers));
+      res.set('Idempotent-Replayed', 'true');
+      return res.end(Buffer.from(record.response_body));
+    }
+
+    let recordId;
+    try {
+      const result = await createIdempotencyRecord(req.apiKeyData.id, idempotencyKey, requestHash, IDEMPOTENCY_TTL_HOURS);
+      recordId = Number(result.lastInsertRowid);
+    } catch (error) {
+      // Unique constraint - a concurrent request with the same key got there first
+      return res.status(409).json({
+        success: false,
+        error: 'Request in progress',
+        message: 'A request with this Idempotency-Key is still being processed. Retry later.'
+      });
+    }
+
+    // Capture the response as it is sent
+    const originalEnd = res.end;
+    res.end = function (chunk, encoding, callback) {
+      res.end = originalEnd;
+
+      const body = chunk === undefined || typeof chunk === 'function'
+        ? Buffer.alloc(0)
+        : Buffer.from(chunk, typeof encoding === 'string' ? encoding : undefined);
+
+      // Server errors are refunded, so let the client retry them with the same key
+      const saved = res.statusCode >= 500
+        ? deleteIdempotencyRecord(recordId)
+        : completeIdempotencyRecord(recordId, res.statusCode, JSON.stringify(pickReplayedHeaders(res.getHeaders())), body);
+
+      saved.catch(error => console.error('Idempotency record update failed:', error));
+
+      return originalEnd.call(res, chunk, encoding, callback);
+    };
+
+    next();
+
+  } catch (error) {
+    console.error('Idempotency check error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Idempotency check failed',
+      message: 'Internal server error'
+    });
+  }
+}
+
+module.exports = {
+  idempotency
+};
@@ -0,0 +1,74 @@
+// Per-account API limits - request rate and concurrent model requests, by subscription tier (config/limits.js)
+// Both run after API key authentication, so they use the tier loaded in req.apiKeyData
+const rateLimit = require('express-rate-limit');
+const { getAccountLimits, acquireConcurrencySlot } = require('../config/limits');
+const { createRateLimitStore } = require('../config/state');
+
+// Requests per minute of the API key's account (RateLimit-* headers describe this limit)
+const accountRateLimit = rateLimit({
+  windowMs: 60 * 1000, // 1 minute
+  limit: (req) => getAccountLimits(req.apiKeyData).requestsPerMinute,
+  standardHeaders: 'draft-6',
+  legacyHeaders: false,
+  store: createRateLimitStore('account:'),
+  keyGenerator: (req) => `user:${req.apiKeyData.user_id}`,
+  handler: (req, res) => {
+    const limits = getAccountLimits(req.apiKeyData);
+    const retryAfter = Math.max(Math.ceil((req.rateLimit.resetTime - Date.now()) / 1000), 1);
+
+    res.status(429).json({
+      success: false,
+      error: 'Rate limit exceeded',
+      message: `Your ${limits.tier} plan allows ${limits.requestsPerMinute} API requests per minute. Try again in ${retryAfter} second(s).`,
+      limit: 'requests_per_minute',
+      limit_value: limits.requestsPerMinute,
+      tier: limits.tier,
+      retry_after_seconds: retryAfter
+    });
+  }
+});
+
+// Cap the model requests an account has in flight at once
+// The slot is released when the response ends, unless the handler takes it over (see takeConcurrencySlot)
+async function limitConcurrency(req, res, next) {
+  try {
+    const limits = getAccountLimits(req.apiKeyData);
+    const release = await acquireConcurrencySlot(req.apiKeyData.user_id, limits.maxConcurrentRequests);
+
+    if (!release) {
+      return res.status(429).set('Retry-After', '1').json({
+        success: false,
+        error: 'Too many concurrent requests',
+        message: `Your ${limits.tier} plan allows ${limits.maxConcurrentRequests} model requests in progress at once. Wait for one to finish.`,
+        limit: 'concurrent_requests',
+        limit_value: limits.maxConcurrentRequests,
+        tier: limits.tier,
+        retry_after_seconds: 1
+      });
+    }
+
+    req.concurrencySlot = release;
+    res.on('close', () => req.concurrencySlot?.());
+    next();
+  } catch (error) {
+    console.error('Concurrency limit error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to check request limits',
+      message: 'Internal server error'
+    });
+  }
+}
+
+// Take over the request's concurrency slot (async jobs hold it until the job finishes)
+function takeConcurrencySlot(req) {
+  const release = req.concurrencySlot || (() => {});
+  req.concurrencySlot = null;
+  return release;
+}
+
+module.exports = {
+  accountRateLimit,
+  limitConcurrency,
+  takeConcurrencySlot
+};
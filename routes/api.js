@@ -1,235 +1,111 @@
 // AI API routes - handles AI model requests with token deduction
 const express = require('express');
 const router = express.Router();
-const axios = require('axios');
-const multer = require('multer');
-const FormData = require('form-data');
-const { hashApiKey } = require('./apikey');
-const {
-  getApiKeyByHash,
-  deductToken,
-  logApiUsage,
-  updateApiKeyLastUsed
-} = require('../config/database');
+const { identifyClient } = require('../middleware/apiKey');
 const {
   getEnabledModels,
   getModelById,
-  getFeaturedModels
+  getFeaturedModels,
+  getModelVersions,
+  getDefaultVersion,
+  getModelVersion,
+  getVersionLifecycle
 } = require('../config/models');
+const { getBackendStatus } = require('../config/backend');
+const { buildOpenApiDocument } = require('../config/openapi');
+const { describePricing } = require('../config/pricing');
+const { getAccountLimits } = require('../config/limits');
+const { formatBudget } = require('../config/budgets');
+const modelGateway = require('./gateway');
+const jobRoutes = require('./jobs');
+const { apiGenerationRoutes } = require('./generations');
+const { apiPresetRoutes } = require('./presets');
+const { apiUsageRoutes } = require('./usage');
+const clientTokenRoutes = require('./clientTokens');
+const { apiEndUserRoutes } = require('./endUsers');
+const { describeGlobalPresets } = require('../config/presets');
 
-// Configure multer for file uploads (store in memory)
-const upload = multer({
-  storage: multer.memoryStorage(),
-  limits: {
-    fileSize: 10 * 1024 * 1024 // 10MB limit
-  },
-  fileFilter: (req, file, cb) => {
-    // Accept images only
-    if (!file.mimetype.startsWith('image/')) {
-      return cb(new Error('Only image files are allowed'), false);
-    }
-    cb(null, true);
-  }
-});
+// Model endpoints (e.g. POST /api/v1/live-painting) - generated from config/models.js
+router.use(modelGateway);
 
-// Middleware to authenticate API key
-async function authenticateApiKey(req, res, next) {
-  const apiKey = req.headers['x-api-key'] || req.headers['authorization']?.replace('Bearer ', '');
+// Async job status and results
+router.use('/jobs', jobRoutes);
 
-  if (!apiKey) {
-    return res.status(401).json({
-      success: false,
-      error: 'API key required',
-      message: 'Please provide your API key in the X-API-Key header'
-    });
-  }
+// Generation history (past inputs and outputs)
+router.use('/generations', apiGenerationRoutes);
 
-  try {
-    // Hash the provided key and look it up
-    const keyHash = hashApiKey(apiKey);
-    const keyData = await getApiKeyByHash(keyHash);
+// Prompt presets (preset=<name> on model requests)
+router.use('/presets', apiPresetRoutes);
 
-    if (!keyData) {
-      return res.status(401).json({
-        success: false,
-        error: 'Invalid API key',
-        message: 'The provided API key is invalid or has been revoked'
-      });
-    }
+// Usage reports (GET /usage/history) - the balance itself is GET /usage below
+router.use('/usage', apiUsageRoutes);
 
-    // Check if user has tokens
-    if (keyData.tokens <= 0) {
-      return res.status(402).json({
-        success: false,
-        error: 'Insufficient tokens',
-        message: 'You have run out of tokens. Please upgrade your subscription.',
-        tokens_remaining: 0
-      });
-    }
+// Client tokens (short-lived tokens for game builds, issued with a secret API key)
+router.use('/client-tokens', clientTokenRoutes);
 
-    // Check subscription status
-    if (keyData.subscription_status === 'canceled' || keyData.subscription_status === 'past_due') {
-      // Still allow usage if they have tokens, but warn them
-      req.warningMessage = `Your subscription is ${keyData.subscription_status}. Please update your payment method.`;
-    }
+// End user quota and each end user's use of it (X-End-User-Id on model requests)
+router.use('/end-users', apiEndUserRoutes);
 
-    // Attach key data to request
-    req.apiKeyData = keyData;
-    next();
+// Health check endpoint
+router.get('/health', (req, res) => {
+  res.json({
+    success: true,
+    status: 'operational',
+    version: '1.0.0',
+    models: getBackendStatus(),
+    timestamp: new Date().toISOString()
+  });
+});
 
-  } catch (error) {
-    console.error('API key authentication error:', error);
-    res.status(500).json({
-      success: false,
-      error: 'Authentication failed',
-      message: 'Internal server error'
-    });
-  }
+// Public description of every version of a model (with deprecation and sunset dates)
+function describeVersions(model) {
+  const defaultVersion = getDefaultVersion(model);
+
+  return getModelVersions(model).map(version => {
+    const lifecycle = getVersionLifecycle(getModelVersion(model, version));
+    return {
+      version,
+      endpoint: `${model.endpoint}/${version}`,
+      default: version === defaultVersion,
+      deprecated: lifecycle.deprecated,
+      deprecated_at: lifecycle.deprecatedAt ? lifecycle.deprecatedAt.toISOString() : null,
+      sunset: lifecycle.sunset ? lifecycle.sunset.toISOString() : null,
+      retired: lifecycle.retired,
+      successor: lifecycle.successor
+    };
+  });
 }
 
-// AI Live Paint endpoint - POST /api/v1/live-painting
-router.post('/live-painting', authenticateApiKey, upload.fields([{ name: 'image', maxCount: 1 }]), async (req, res) => {
-  const startTime = Date.now();
-
+// OpenAPI 3 document generated from config/models.js (public endpoint)
+router.get('/openapi.json', (req, res) => {
   try {
-    // Validate image upload
-    if (!req.files || !req.files.image || !req.files.image[0]) {
-      return res.status(400).json({
-        success: false,
-        error: 'No image provided',
-        message: 'Please upload an image file'
-      });
-    }
-
-    const imageFile = req.files.image[0];
-
-    // Deduct token BEFORE making the API call (to prevent abuse)
-    const deductResult = await deductToken(req.apiKeyData.user_id);
-
-    if (deductResult.rowsAffected === 0) {
-      return res.status(402).json({
-        success: false,
-        error: 'Insufficient tokens',
-        message: 'Failed to deduct token. You may have run out of tokens.',
-        tokens_remaining: 0
-      });
-    }
-
-    // Log received parameters for debugging
-    console.log('Received parameters:', {
-      prompt: req.body.prompt,
-      strength: req.body.strength,
-      steps: req.body.steps,
-      guidance: req.body.guidance
-    });
-
-    // Prepare form data for AI Live Paint backend
-    const formData = new FormData();
-    formData.append('image', imageFile.buffer, {
-      filename: imageFile.originalname,
-      contentType: imageFile.mimetype
-    });
-
-    // Add optional parameters (these come from Unity)
-    if (req.body.prompt) {
-      formData.append('prompt', req.body.prompt);
-    }
-
-    if (req.body.strength) {
-      formData.append('strength', req.body.strength);
-    }
-
-    if (req.body.steps) {
-      formData.append('steps', req.body.steps);
-    }
-
-    if (req.body.guidance) {
-      formData.append('guidance', req.body.guidance);
-    }
-
-    // Call AI Live Paint backend
-    const aiResponse = await axios.post(
-      `${process.env.AI_LIVE_PAINT_URL}/process`,
-      formData,
-      {
-        headers: formData.getHeaders(),
-        responseType: 'arraybuffer', // Expect image response
-        timeout: 60000, // 60 second timeout
-        maxContentLength: 50 * 1024 * 1024, // 50MB max response
-        maxBodyLength: 50 * 1024 * 1024
-      }
-    );
-
-    // Update API key last used timestamp
-    await updateApiKeyLastUsed(req.apiKeyData.id);
-
-    // Log usage
-    await logApiUsage(
-      req.apiKeyData.user_id,
-      req.apiKeyData.id,
-      '/api/v1/live-painting',
-      1
-    );
-
-    // Calculate remaining tokens
-    const tokensRemaining = req.apiKeyData.tokens - 1;
-    const processingTime = Date.now() - startTime;
-
-    // Return processed image
-    res.set({
-      'Content-Type': 'image/png',
-      'X-Tokens-Used': '1',
-      'X-Tokens-Remaining': tokensRemaining.toString(),
-      'X-Processing-Time-Ms': processingTime.toString(),
-      'X-Model': 'AI-Live-Paint-v1'
-    });
-
-    if (req.warningMessage) {
-      res.set('X-Warning', req.warningMessage);
-    }
-
-    res.send(Buffer.from(aiResponse.data));
-
+    const serverUrl = (process.env.BASE_URL || `${req.protocol}://${req.get('host')}`).replace(/\/$/, '');
+    res.json(buildOpenApiDocument(serverUrl));
   } catch (error) {
-    console.error('AI Live Paint error:', error.message);
-
-    // If we deducted a token but the AI call failed, ideally refund it
-    // For production, implement a refund mechanism here
-
-    const errorMessage = error.response?.data?.message || error.message || 'AI processing failed';
-
+    console.error('OpenAPI document error:', error);
     res.status(500).json({
       success: false,
-      error: 'AI Live Paint processing failed',
-      message: errorMessage,
-      details: process.env.NODE_ENV === 'development' ? error.message : undefined
+      error: 'Failed to build API description'
     });
   }
 });
 
-// Health check endpoint
-router.get('/health', (req, res) => {
-  res.json({
-    success: true,
-    status: 'operational',
-    version: '1.0.0',
-    timestamp: new Date().toISOString()
-  });
-});
-
 // Get available AI models (public endpoint - no auth required)
 router.get('/models', (req, res) => {
   try {
-    const models = getEnabledModels();
+    const models = getEnabledModels().map(model => getModelVersion(model, getDefaultVersion(model)));
     const modelsInfo = models.map(model => ({
       id: model.id,
       name: model.name,
       description: model.description,
       version: model.version,
+      versions: describeVersions(getModelById(model.id)),
       endpoint: model.endpoint,
       method: model.method,
       tokensPerRequest: model.tokensPerRequest,
+      pricing: describePricing(model),
       requestSchema: model.requestSchema,
+      presets: describeGlobalPresets(model.id),
       responseType: model.responseType,
       exampleRequest: model.exampleRequest,
       featured: model.featured
@@ -249,12 +125,12 @@ router.get('/models', (req, res) => {
   }
 });
 
-// Get specific model details (public endpoint)
+// Get specific model details (public endpoint) - the default version, or ?version=
 router.get('/models/:modelId', (req, res) => {
   try {
-    const model = getModelById(req.params.modelId);
+    const baseModel = getModelById(req.params.modelId);
 
-    if (!model || !model.enabled) {
+    if (!baseModel || !baseModel.enabled) {
       return res.status(404).json({
         success: false,
         error: 'Model not found',
@@ -262,6 +138,15 @@ router.get('/models/:modelId', (req, res) => {
       });
     }
 
+    const model = getModelVersion(baseModel, req.query.version || getDefaultVersion(baseModel));
+    if (!model) {
+      return res.status(404).json({
+        success: false,
+        error: 'Model version not found',
+        message: `Available versions: ${getModelVersions(baseModel).join(', ')}`
+      });
+    }
+
     res.json({
       success: true,
       model: {
@@ -269,10 +154,14 @@ router.get('/models/:modelId', (req, res) => {
         name: model.name,
         description: model.description,
         version: model.version,
+        versions: describeVersions(baseModel),
         endpoint: model.endpoint,
         method: model.method,
         tokensPerRequest: model.tokensPerRequest,
+        pricing: describePricing(model),
+        quoteEndpoint: `${model.endpoint}/quote`,
         requestSchema: model.requestSchema,
+        presets: describeGlobalPresets(model.id),
         responseType: model.responseType,
         exampleRequest: model.exampleRequest,
         limitations: model.limitations,
@@ -288,15 +177,34 @@ router.get('/models/:modelId', (req, res) => {
   }
 });
 
-// Get API usage statistics (with API key authentication)
-router.get('/usage', authenticateApiKey, (req, res) => {
+// The client token a request was made with, as shown by GET /usage (null for API keys)
+function describeClientToken(clientToken) {
+  if (!clientToken) {
+    return null;
+  }
+  return {
+    expires_at: clientToken.expires_at.toISOString(),
+    end_user_id: clientToken.end_user_id,
+    budget: clientToken.budget ? formatBudget(clientToken.budget) : null
+  };
+}
+
+// Get API usage statistics (with API key authentication - read-only keys and empty balances can read it too)
+router.get('/usage', identifyClient, (req, res) => {
   try {
+    const limits = getAccountLimits(req.apiKeyData);
     res.json({
       success: true,
       data: {
         tokens_remaining: req.apiKeyData.tokens,
         subscription_tier: req.apiKeyData.subscription_tier || 'free',
-        subscription_status: req.apiKeyData.subscription_status || 'none'
+        subscription_status: req.apiKeyData.subscription_status || 'none',
+        test_mode: req.apiKeyData.mode === 'test',
+        client_token: describeClientToken(req.apiKeyData.client_token),
+        limits: {
+          requests_per_minute: limits.requestsPerMinute,
+          max_concurrent_requests: limits.maxConcurrentRequests
+        }
       }
     });
   } catch (error) {
@@ -6,14 +6,21 @@ const { authenticateToken } = require('../middleware/auth');
 const {
   createApiKey,
   getUserApiKeys,
-  deactivateApiKey
+  deactivateApiKey,
+  renameApiKey,
+  updateApiKeyBudget,
+  rotateApiKey
 } = require('../config/database');
+const { loadKeyBudget, formatBudget, parseBudgetInput } = require('../config/budgets');
+const { parseKeyScopes, formatKeyScopes } = require('../config/keyScopes');
+const { parseGracePeriod, formatRotation, buildRotationHistory } = require('../config/keyRotation');
+const { TEST_KEY_PREFIX } = require('../config/testMode');
 
-// Generate a secure random API key
-function generateApiKey() {
+// Generate a secure random API key (sk_test_ prefix for test keys)
+function generateApiKey(mode = 'live') {
   // Generate a random key with prefix
   const randomBytes = crypto.randomBytes(32).toString('hex');
-  const apiKey = `sk_${randomBytes}`;
+  const apiKey = `${mode === 'test' ? TEST_KEY_PREFIX : 'sk_'}${randomBytes}`;
   return apiKey;
 }
 
@@ -22,10 +29,25 @@ function hashApiKey(apiKey) {
   return crypto.createHash('sha256').update(apiKey).digest('hex');
 }
 
-// Get user's API keys
+// Get user's API keys, with each key's scopes, rotation state and spend against its budget
 router.get('/', authenticateToken, async (req, res) => {
   try {
-    const apiKeys = await getUserApiKeys(req.user.id);
+    const rows = await getUserApiKeys(req.user.id);
+
+    const apiKeys = [];
+    for (const row of rows) {
+      const {
+        allowed_models, read_only, allowed_ips, allowed_origins, expires_at,
+        rotated_from, replaced_by, rotated_at, grace_ends_at,
+        ...key
+      } = row;
+      apiKeys.push({
+        ...key,
+        scopes: formatKeyScopes(row),
+        rotation: formatRotation(row),
+        budget: formatBudget(await loadKeyBudget(row))
+      });
+    }
 
     res.json({
       success: true,
@@ -41,14 +63,33 @@ router.get('/', authenticateToken, async (req, res) => {
   }
 });
 
-// Create new API key
+// Create new API key - optional mode ('live' or 'test') and scopes: allowed_models, read_only, allowed_ips, allowed_origins, expires_at
 router.post('/create', authenticateToken, async (req, res) => {
   try {
     const { name } = req.body;
     const keyName = name || 'Default Key';
 
+    const parsed = parseKeyScopes(req.body);
+    if (parsed.error) {
+      return res.status(400).json({
+        success: false,
+        error: parsed.error,
+        message: parsed.message
+      });
+    }
+
+    // Test keys (sk_test_) hit a stub instead of the model backend and never spend tokens
+    const mode = req.body.mode === undefined ? 'live' : req.body.mode;
+    if (!['live', 'test'].includes(mode)) {
+      return res.status(400).json({
+        success: false,
+        error: 'Invalid mode',
+        message: 'mode must be live or test'
+      });
+    }
+
     // Generate new API key
-    const apiKey = generateApiKey();
+    const apiKey = generateApiKey(mode);
     const keyHash = hashApiKey(apiKey);
     const keyPrefix = apiKey.substring(0, 12) + '...';
 
@@ -57,7 +98,9 @@ router.post('/create', authenticateToken, async (req, res) => {
       req.user.id,
       keyHash,
       keyPrefix,
-      keyName
+      keyName,
+      parsed.scopes,
+      mode
     );
 
     // Return the full key only once (it won't be shown again)
@@ -66,7 +109,15 @@ router.post('/create', authenticateToken, async (req, res) => {
       message: 'API key created successfully. Save it now - you won\'t see it again!',
       apiKey: apiKey,
       keyId: Number(result.lastInsertRowid),
-      keyPrefix: keyPrefix
+      keyPrefix: keyPrefix,
+      mode: mode,
+      scopes: formatKeyScopes({
+        allowed_models: parsed.scopes.allowedModels,
+        read_only: parsed.scopes.readOnly,
+        allowed_ips: parsed.scopes.allowedIps,
+        allowed_origins: parsed.scopes.allowedOrigins,
+        expires_at: parsed.scopes.expiresAt
+      })
     });
 
   } catch (error) {
@@ -78,6 +129,165 @@ router.post('/create', authenticateToken, async (req, res) => {
   }
 });
 
+// Rename an API key - { name }
+router.patch('/:keyId', authenticateToken, async (req, res) => {
+  try {
+    const keyId = parseInt(req.params.keyId);
+    const name = typeof req.body?.name === 'string' ? req.body.name.trim() : '';
+
+    if (!name || name.length > 100) {
+      return res.status(400).json({
+        success: false,
+        error: 'Invalid name',
+        message: 'name must be 1 to 100 characters'
+      });
+    }
+
+    const result = await renameApiKey(keyId, req.user.id, name);
+
+    if (result.rowsAffected === 0) {
+      return res.status(404).json({
+        success: false,
+        message: 'API key not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      message: 'API key renamed',
+      name
+    });
+
+  } catch (error) {
+    console.error('Rename API key error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to rename API key'
+    });
+  }
+});
+
+// Rotate an API key - issues a replacement (same name, scopes and budget) and keeps the old key
+// working for { grace_period_hours } (default API_KEY_ROTATION_GRACE_HOURS, 0 = deactivate it now)
+router.post('/:keyId/rotate', authenticateToken, async (req, res) => {
+  try {
+    const keyId = parseInt(req.params.keyId);
+    const grace = parseGracePeriod(req.body || {});
+
+    if (grace.error) {
+      return res.status(400).json({
+        success: false,
+        error: grace.error,
+        message: grace.message
+      });
+    }
+
+    let apiKey = null;
+    const newKeyId = await rotateApiKey(keyId, req.user.id, grace.graceSeconds, (mode) => {
+      apiKey = generateApiKey(mode);
+      return { keyHash: hashApiKey(apiKey), keyPrefix: apiKey.substring(0, 12) + '...' };
+    });
+
+    if (!newKeyId) {
+      return res.status(409).json({
+        success: false,
+        error: 'Cannot rotate key',
+        message: 'API key not found, revoked, or already rotated'
+      });
+    }
+
+    const keyPrefix = apiKey.substring(0, 12) + '...';
+    const graceEndsAt = new Date(Date.now() + grace.graceSeconds * 1000);
+
+    // Return the full key only once (it won't be shown again)
+    res.json({
+      success: true,
+      message: grace.graceSeconds === 0
+        ? 'API key rotated. The old key no longer works. Save the new key now - you won\'t see it again!'
+        : `API key rotated. The old key keeps working until ${graceEndsAt.toISOString()}. Save the new key now - you won't see it again!`,
+      apiKey: apiKey,
+      keyId: newKeyId,
+      keyPrefix: keyPrefix,
+      replacedKeyId: keyId,
+      graceEndsAt: graceEndsAt.toISOString()
+    });
+
+  } catch (error) {
+    console.error('Rotate API key error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to rotate API key'
+    });
+  }
+});
+
+// Rotation history of an API key - every key of its rotation chain, oldest first
+router.get('/:keyId/history', authenticateToken, async (req, res) => {
+  try {
+    const keyId = parseInt(req.params.keyId);
+    const history = buildRotationHistory(await getUserApiKeys(req.user.id), keyId);
+
+    if (!history) {
+      return res.status(404).json({
+        success: false,
+        message: 'API key not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      history
+    });
+
+  } catch (error) {
+    console.error('API key history error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to retrieve API key history'
+    });
+  }
+});
+
+// Set or remove an API key's token budget - { budget: tokens or null, period: 'total' | 'day' | 'month' }
+router.put('/:keyId/budget', authenticateToken, async (req, res) => {
+  try {
+    const keyId = parseInt(req.params.keyId);
+    const input = parseBudgetInput(req.body || {});
+
+    if (input.error) {
+      return res.status(400).json({
+        success: false,
+        error: input.error,
+        message: input.message
+      });
+    }
+
+    const result = await updateApiKeyBudget(keyId, req.user.id, input.limit, input.period);
+
+    if (result.rowsAffected === 0) {
+      return res.status(404).json({
+        success: false,
+        message: 'API key not found or revoked'
+      });
+    }
+
+    const budget = await loadKeyBudget({ id: keyId, token_budget: input.limit, budget_period: input.period });
+
+    res.json({
+      success: true,
+      message: input.limit === null ? 'API key budget removed' : 'API key budget updated',
+      budget: formatBudget(budget)
+    });
+
+  } catch (error) {
+    console.error('Update API key budget error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to update API key budget'
+    });
+  }
+});
+
 // Deactivate/revoke an API key
 router.delete('/:keyId', authenticateToken, async (req, res) => {
   try {
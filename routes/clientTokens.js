@@ -0,0 +1,35 @@
+// Client token routes - the developer's server exchanges its secret API key for a short-lived client token
+// Mounted at /api/v1/client-tokens; the token goes to the game build or browser in place of the key
+const express = require('express');
+const router = express.Router();
+const { identifyApiKey } = require('../middleware/apiKey');
+const { parseClientTokenRequest, issueClientToken, formatClientToken } = require('../config/clientTokens');
+
+// Issue a client token - POST /api/v1/client-tokens { models, budget, end_user_id, expires_in }
+router.post('/', identifyApiKey, (req, res) => {
+  try {
+    const parsed = parseClientTokenRequest(req.body || {}, req.apiKeyData);
+    if (parsed.error) {
+      return res.status(400).json({
+        success: false,
+        error: parsed.error,
+        message: parsed.message
+      });
+    }
+
+    const issued = issueClientToken(parsed.claims, parsed.expiresIn);
+
+    res.status(201).json({
+      success: true,
+      ...formatClientToken(issued, parsed.claims)
+    });
+  } catch (error) {
+    console.error('Issue client token error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to issue client token'
+    });
+  }
+});
+
+module.exports = router;
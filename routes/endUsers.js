@@ -0,0 +1,123 @@
+// End user routes - the account's per end user quota, and how much of it one end user has used
+// Mounted twice: /api/v1/end-users (API key) and /end-users (dashboard login session)
+// Only the dashboard can change the quota - an API key (which may be shipped in a game build) can only read it
+const express = require('express');
+const { identifyApiKey } = require('../middleware/apiKey');
+const { authenticateToken } = require('../middleware/auth');
+const { getUserById, updateEndUserQuota } = require('../config/database');
+const {
+  parseEndUserId,
+  loadEndUserQuota,
+  formatEndUserQuota,
+  formatAccountQuota,
+  parseQuotaInput
+} = require('../config/endUsers');
+
+// The account the request acts for (API key owner or logged-in user)
+function getUserId(req) {
+  return req.apiKeyData ? req.apiKeyData.user_id : req.user.id;
+}
+
+// Build the end user routes behind the given authentication middleware
+// canUpdateQuota adds PUT /quota
+function createEndUserRouter(authenticate, { canUpdateQuota = false } = {}) {
+  const router = express.Router();
+
+  // Quota settings - GET /end-users/quota
+  router.get('/quota', authenticate, async (req, res) => {
+    try {
+      const user = await getUserById(getUserId(req));
+
+      res.json({
+        success: true,
+        quota: formatAccountQuota(user)
+      });
+    } catch (error) {
+      console.error('Get end user quota error:', error);
+      res.status(500).json({
+        success: false,
+        error: 'Failed to retrieve end user quota'
+      });
+    }
+  });
+
+  // Set the quota every end user gets - PUT /end-users/quota { requests, tokens, period }
+  router.put('/quota', authenticate, async (req, res) => {
+    if (!canUpdateQuota) {
+      return res.status(403).json({
+        success: false,
+        error: 'Dashboard only',
+        message: 'The end user quota can only be changed on the dashboard.'
+      });
+    }
+
+    try {
+      const input = parseQuotaInput(req.body || {});
+      if (input.error) {
+        return res.status(400).json({
+          success: false,
+          error: input.error,
+          message: input.message
+        });
+      }
+
+      await updateEndUserQuota(getUserId(req), input.requests, input.tokens, input.period);
+
+      const off = input.requests === null && input.tokens === null;
+      res.json({
+        success: true,
+        message: off ? 'End user quota removed' : 'End user quota updated',
+        quota: formatAccountQuota({
+          end_user_quota_requests: input.requests,
+          end_user_quota_tokens: input.tokens,
+          end_user_quota_period: input.period
+        })
+      });
+    } catch (error) {
+      console.error('Update end user quota error:', error);
+      res.status(500).json({
+        success: false,
+        error: 'Failed to update end user quota'
+      });
+    }
+  });
+
+  // One end user's use of the quota in the current period - GET /end-users/:endUserId (?mode=test for test traffic)
+  router.get('/:endUserId', authenticate, async (req, res) => {
+    try {
+      const endUser = parseEndUserId(req.params.endUserId);
+      if (endUser.error) {
+        return res.status(400).json({
+          success: false,
+          error: endUser.error,
+          message: endUser.message
+        });
+      }
+
+      const userId = getUserId(req);
+      const user = await getUserById(userId);
+      const test = req.query.mode === 'test';
+      const quota = await loadEndUserQuota(user, userId, endUser.endUserId, { test });
+
+      res.json({
+        success: true,
+        end_user_id: endUser.endUserId,
+        mode: test ? 'test' : 'live',
+        quota: quota ? formatEndUserQuota(quota) : null
+      });
+    } catch (error) {
+      console.error('Get end user error:', error);
+      res.status(500).json({
+        success: false,
+        error: 'Failed to retrieve end user'
+      });
+    }
+  });
+
+  return router;
+}
+
+module.exports = {
+  apiEndUserRoutes: createEndUserRouter(identifyApiKey),
+  dashboardEndUserRoutes: createEndUserRouter(authenticateToken, { canUpdateQuota: true })
+};
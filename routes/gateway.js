@@ -0,0 +1,678 @@
+// Model gateway - mounts a proxied endpoint for every enabled model in config/models.js
+const express = require('express');
+const router = express.Router();
+const multer = require('multer');
+const { authenticateApiKey, identifyClient, authorizeModel } = require('../middleware/apiKey');
+const { idempotency } = require('../middleware/idempotency');
+const { limitConcurrency, takeConcurrencySlot } = require('../middleware/rateLimit');
+const { updateApiKeyLastUsed } = require('../config/database');
+const { callModelBackend, readBackendResult } = require('../config/backend');
+const {
+  isCacheEnabled,
+  getCacheSettings,
+  computeCacheKey,
+  lookupResult,
+  storeResult
+} = require('../config/cache');
+const { enqueueJob, checkCallbackUrl, formatJob } = require('../config/jobs');
+const { prepareImages } = require('../config/images');
+const { negotiateOutput, renderResult, buildJsonEnvelope } = require('../config/output');
+const { priceRequest } = require('../config/pricing');
+const { recordGeneration } = require('../config/generations');
+const { applyPreset } = require('../config/presets');
+const { checkKeyBudget } = require('../config/budgets');
+const { checkEndUserQuota } = require('../config/endUsers');
+const { isTestKey } = require('../config/testMode');
+const {
+  reserveTokens,
+  splitReservation,
+  commitReservation,
+  refundReservation
+} = require('../config/billing');
+const {
+  getEnabledModels,
+  getModelRoutePath,
+  getModelVersions,
+  getModelVersion,
+  getModelLabel,
+  getVersionLifecycle,
+  resolveModelVersion,
+  validateRequest
+} = require('../config/models');
+
+// Build the upload middleware for the file fields declared in a model's schema
+function createUpload(model, maxCount = 1) {
+  const fileFields = model.requestSchema.fields.filter(field => field.type === 'file');
+
+  const upload = multer({
+    storage: multer.memoryStorage(),
+    limits: {
+      fileSize: model.limitations.maxFileSize
+    },
+    fileFilter: (req, file, cb) => {
+      const fieldSchema = fileFields.find(field => field.name === file.fieldname);
+      if (fieldSchema?.accepts && !fieldSchema.accepts.includes(file.mimetype)) {
+        return cb(new Error(`Invalid file type for ${file.fieldname}. Accepted: ${fieldSchema.accepts.join(', ')}`), false);
+      }
+      cb(null, true);
+    }
+  }).fields(fileFields.map(field => ({ name: field.name, maxCount })));
+
+  // Report upload problems (wrong type, too large, unknown file field) as bad requests
+  return (req, res, next) => {
+    upload(req, res, (err) => {
+      if (err) {
+        return res.status(400).json({
+          success: false,
+          error: 'Invalid upload',
+          message: err.code === 'LIMIT_UNEXPECTED_FILE'
+            ? `Unexpected file field "${err.field}" (or more than ${maxCount} file(s) in it)`
+            : err.message
+        });
+      }
+      next();
+    });
+  };
+}
+
+// Body fields the gateway handles itself - not part of any model schema
+const GATEWAY_FIELDS = ['async', 'callback_url', 'output_format', 'output_quality'];
+
+// Respond with the schema violations found by validateRequest
+function sendValidationError(res, errors) {
+  return res.status(400).json({
+    success: false,
+    error: 'Invalid request parameters',
+    message: errors.map(error => `${error.item !== undefined ? `item ${error.item}: ` : ''}${error.field} ${error.message}`).join('; '),
+    errors
+  });
+}
+
+// Merge the preset named by the preset field into the request body
+// Returns the merged body, or null after answering 400 for an unknown preset
+async function readRequestBody(model, req, res, body = req.body) {
+  const merged = await applyPreset(model, req.apiKeyData.user_id, body);
+  if (merged.error) {
+    res.status(400).json({
+      success: false,
+      error: merged.error,
+      message: merged.message
+    });
+    return null;
+  }
+  return merged.body;
+}
+
+// Job mode is requested with an async=true field, a callback_url, or a "Prefer: respond-async" header
+function wantsAsyncJob(req) {
+  return req.body?.async === 'true' || req.body?.async === true ||
+    Boolean(req.body?.callback_url) ||
+    /\brespond-async\b/.test(req.headers.prefer || '');
+}
+
+// Create the request handler for a model
+function createModelHandler(model) {
+  return async (req, res) => {
+    const startTime = Date.now();
+    let reservation = null;
+
+    try {
+      const body = await readRequestBody(model, req, res);
+      if (!body) {
+        return;
+      }
+
+      // Enforce the model's requestSchema (types, ranges, defaults, unknown fields)
+      const validation = validateRequest(model, { body, files: req.files }, { ignoreFields: GATEWAY_FIELDS });
+      if (!validation.valid) {
+        return sendValidationError(res, validation.errors);
+      }
+
+      // Check image dimensions and convert images for the backend - before anything is charged
+      const images = await prepareImages(model, req.files);
+      if (images.errors.length > 0) {
+        return sendValidationError(res, images.errors);
+      }
+      const files = images.files;
+
+      const callbackUrl = req.body?.callback_url;
+      const callbackError = callbackUrl ? await checkCallbackUrl(callbackUrl) : null;
+      if (callbackError) {
+        return res.status(400).json({
+          success: false,
+          error: 'Invalid callback_url',
+          message: callbackError
+        });
+      }
+
+      const asyncJob = wantsAsyncJob(req);
+
+      // Pick the response format before charging, so an unsatisfiable Accept header costs nothing
+      // (job results are negotiated when they are fetched)
+      const output = asyncJob ? null : negotiateOutput(req, model.responseType);
+      if (output?.error) {
+        return res.status(output.status).json({
+          success: false,
+          error: output.error,
+          message: output.message
+        });
+      }
+
+      // Identical synchronous requests can be answered from the result cache (never for test keys - their results are stubs)
+      const testMode = isTestKey(req.apiKeyData);
+      const useCache = isCacheEnabled(model) && !asyncJob && !testMode;
+      const cacheKey = useCache ? computeCacheKey(model, files, validation.values) : null;
+      const cachedResult = useCache ? await lookupResult(cacheKey) : null;
+      // Price from the validated parameters and the prepared image sizes (config/pricing.js) - test keys pay nothing
+      const cost = testMode ? 0 : cachedResult ? getCacheSettings(model).tokensPerHit : priceRequest(model, validation.values, files).tokens;
+
+      // The API key's own budget (and the client token's) has to cover the request too, and so does the end user's quota
+      const overBudget = checkKeyBudget(req.apiKeyData, cost) || checkEndUserQuota(req.apiKeyData, cost);
+      if (overBudget) {
+        return res.status(overBudget.status).set(overBudget.headers).json(overBudget.body);
+      }
+
+      // Reserve tokens BEFORE making the backend call (to prevent abuse)
+      const reserved = await reserveTokens(req.apiKeyData, model.endpoint, cost);
+      if (reserved.overBudget) {
+        return res.status(reserved.overBudget.status).set(reserved.overBudget.headers).json(reserved.overBudget.body);
+      }
+      reservation = reserved.reservation;
+
+      if (!reservation) {
+        return res.status(402).json({
+          success: false,
+          error: 'Insufficient tokens',
+          message: `This request costs ${cost} token(s). You may have run out of tokens.`,
+          tokens_remaining: req.apiKeyData.tokens
+        });
+      }
+
+      // Job mode - hand the request to a background job and answer right away
+      if (asyncJob) {
+        // The job keeps the request's concurrency slot until it finishes
+        const jobId = await enqueueJob(model, req.apiKeyData, reservation, files, validation.values, callbackUrl, takeConcurrencySlot(req));
+        const job = formatJob({ id: jobId, status: 'queued', model_id: model.id, tokens_reserved: reservation.amount });
+
+        if (req.warningMessage) {
+          res.set('X-Warning', req.warningMessage);
+        }
+
+        return res.status(202).set('Location', job.status_url).json({
+          success: true,
+          job
+        });
+      }
+
+      let result = cachedResult;
+      if (!result) {
+        const aiResponse = await callModelBackend(model, files, validation.values, { test: testMode });
+        result = readBackendResult(model, aiResponse);
+      }
+
+      // Backend succeeded (or cache hit) - make the charge final
+      await commitReservation(reservation);
+
+      if (useCache && !cachedResult) {
+        storeResult(model, cacheKey, result).catch(error => console.error(`${model.name} cache store failed:`, error));
+      }
+
+      // Keep the call in the user's generation history
+      const generationId = await recordGeneration({
+        model,
+        apiKeyData: req.apiKeyData,
+        reservation,
+        params: validation.values,
+        files,
+        result
+      });
+
+      // Update API key last used timestamp
+      await updateApiKeyLastUsed(req.apiKeyData.id);
+
+      const tokensRemaining = req.apiKeyData.tokens - cost;
+      const processingTime = Date.now() - startTime;
+      const modelLabel = getModelLabel(model);
+
+      res.set({
+        'X-Tokens-Used': cost.toString(),
+        'X-Tokens-Remaining': tokensRemaining.toString(),
+        'X-Processing-Time-Ms': processingTime.toString(),
+        'X-Model': modelLabel
+      });
+
+      if (useCache) {
+        res.set('X-Cache', cachedResult ? 'HIT' : 'MISS');
+      }
+
+      if (generationId) {
+        res.set('X-Generation-Id', generationId);
+      }
+
+      if (req.warningMessage) {
+        res.set('X-Warning', req.warningMessage);
+      }
+
+      // JSON envelope - the same metadata as the headers, plus the base64 image
+      if (output.format === 'json') {
+        return res.json(buildJsonEnvelope(result, {
+          model: modelLabel,
+          tokens_used: cost,
+          tokens_remaining: tokensRemaining,
+          processing_time_ms: processingTime,
+          cache: useCache ? (cachedResult ? 'HIT' : 'MISS') : undefined,
+          generation_id: generationId || undefined,
+          warning: req.warningMessage
+        }));
+      }
+
+      const rendered = await renderResult(result, output);
+      res.set('Content-Type', rendered.contentType);
+      res.send(rendered.body);
+
+    } catch (error) {
+      console.error(`${model.name} error:`, error.message);
+
+      // The charge was never committed - give the reserved tokens back
+      let tokensRefunded = 0;
+      try {
+        tokensRefunded = await refundReservation(reservation);
+      } catch (refundError) {
+        console.error(`${model.name} token refund failed:`, refundError);
+      }
+
+      const errorMessage = error.response?.data?.message || error.message || 'AI processing failed';
+
+      res.status(500).json({
+        success: false,
+        error: `${model.name} processing failed`,
+        message: errorMessage,
+        tokens_refunded: tokensRefunded,
+        details: process.env.NODE_ENV === 'development' ? error.message : undefined
+      });
+    }
+  };
+}
+
+// Create the dry-run quote handler for a model - validates and prices a request without running or charging it
+function createQuoteHandler(model) {
+  return async (req, res) => {
+    try {
+      const body = await readRequestBody(model, req, res);
+      if (!body) {
+        return;
+      }
+
+      const validation = validateRequest(model, { body, files: req.files }, { ignoreFields: GATEWAY_FIELDS });
+      if (!validation.valid) {
+        return sendValidationError(res, validation.errors);
+      }
+
+      const images = await prepareImages(model, req.files);
+      if (images.errors.length > 0) {
+        return sendValidationError(res, images.errors);
+      }
+
+      const price = priceRequest(model, validation.values, images.files);
+
+      res.json({
+        success: true,
+        model: getModelLabel(model),
+        tokens: price.tokens,
+        breakdown: price.breakdown,
+        tokens_remaining: req.apiKeyData.tokens,
+        affordable: price.tokens <= req.apiKeyData.tokens
+      });
+    } catch (error) {
+      console.error(`${model.name} quote error:`, error);
+      res.status(500).json({
+        success: false,
+        error: 'Failed to price request',
+        message: 'Internal server error'
+      });
+    }
+  };
+}
+
+// Parse the optional per-item parameter overrides of a batch request (JSON array in the "items" field)
+function parseBatchItems(value, count) {
+  if (value === undefined || value === '') {
+    return Array.from({ length: count }, () => ({}));
+  }
+
+  const items = typeof value === 'string' ? JSON.parse(value) : value;
+  if (!Array.isArray(items) || items.length > count || items.some(item => typeof item !== 'object' || item === null)) {
+    throw new Error(`items must be a JSON array of at most ${count} objects`);
+  }
+
+  return Array.from({ length: count }, (_, index) => items[index] || {});
+}
+
+// Build a multipart/mixed body with one part per batch result
+function buildMultipartBody(results, boundary) {
+  const chunks = [];
+
+  for (const result of results) {
+    const body = result.success && Buffer.isBuffer(result.data)
+      ? result.data
+      : Buffer.from(JSON.stringify(result.success ? result.data : { success: false, error: result.error }));
+
+    chunks.push(Buffer.from(
+      `--${boundary}\r\n` +
+      `Content-Type: ${result.success ? result.contentType : 'application/json'}\r\n` +
+      `X-Item-Index: ${result.index}\r\n` +
+      `X-Item-Status: ${result.success ? 'success' : 'failed'}\r\n\r\n`
+    ));
+    chunks.push(body);
+    chunks.push(Buffer.from('\r\n'));
+  }
+
+  chunks.push(Buffer.from(`--${boundary}--\r\n`));
+  return Buffer.concat(chunks);
+}
+
+// Create the batch request handler for a model - one uploaded file per item, charged per item
+function createBatchHandler(model) {
+  const fileField = model.requestSchema.fields.find(field => field.type === 'file');
+  const concurrency = model.batch.concurrency || 1;
+
+  return async (req, res) => {
+    const startTime = Date.now();
+    const testMode = isTestKey(req.apiKeyData);
+    let reservation = null;
+
+    try {
+      const files = req.files?.[fileField.name] || [];
+      if (files.length === 0) {
+        return res.status(400).json({
+          success: false,
+          error: 'Missing required fields',
+          message: `Please upload one or more ${fileField.name} files`
+        });
+      }
+
+      let items;
+      try {
+        items = parseBatchItems(req.body?.items, files.length);
+      } catch (error) {
+        return res.status(400).json({
+          success: false,
+          error: 'Invalid items',
+          message: error.message
+        });
+      }
+
+      // Shared fields (and their preset) apply to every item, per-item fields override them
+      const sharedBody = { ...req.body };
+      delete sharedBody.items;
+      const sharedParams = await readRequestBody(model, req, res, sharedBody);
+      if (!sharedParams) {
+        return;
+      }
+      const itemParams = [];
+      const itemFiles = [];
+      const itemCosts = [];
+      const errors = [];
+
+      for (const [index, item] of items.entries()) {
+        const validation = validateRequest(model, {
+          files: { [fileField.name]: [files[index]] },
+          body: { ...sharedParams, ...item }
+        });
+        itemParams.push(validation.values);
+        errors.push(...validation.errors.map(error => ({ ...error, item: index })));
+
+        // Check dimensions and convert each image before anything is charged
+        if (validation.valid) {
+          const images = await prepareImages(model, { [fileField.name]: [files[index]] });
+          itemFiles.push(images.files);
+          itemCosts.push(testMode ? 0 : priceRequest(model, validation.values, images.files).tokens);
+          errors.push(...images.errors.map(error => ({ ...error, item: index })));
+        }
+      }
+
+      if (errors.length > 0) {
+        return sendValidationError(res, errors);
+      }
+
+      // Reserve tokens for the whole batch up front
+      const totalCost = itemCosts.reduce((sum, cost) => sum + cost, 0);
+      const overBudget = checkKeyBudget(req.apiKeyData, totalCost) || checkEndUserQuota(req.apiKeyData, totalCost, itemCosts.length);
+      if (overBudget) {
+        return res.status(overBudget.status).set(overBudget.headers).json(overBudget.body);
+      }
+
+      const reserved = await reserveTokens(req.apiKeyData, model.endpoint, totalCost, itemCosts);
+      if (reserved.overBudget) {
+        return res.status(reserved.overBudget.status).set(reserved.overBudget.headers).json(reserved.overBudget.body);
+      }
+      reservation = reserved.reservation;
+
+      if (!reservation) {
+        return res.status(402).json({
+          success: false,
+          error: 'Insufficient tokens',
+          message: `This batch costs ${totalCost} tokens (${itemCosts.join(' + ')}). You don't have enough tokens.`,
+          tokens_required: totalCost,
+          tokens_remaining: req.apiKeyData.tokens
+        });
+      }
+
+      const itemReservations = splitReservation(reservation, itemCosts);
+      const results = new Array(files.length);
+      let nextIndex = 0;
+
+      // Each item is committed or refunded on its own
+      const processItems = async () => {
+        while (nextIndex < files.length) {
+          const index = nextIndex++;
+          try {
+            const aiResponse = await callModelBackend(model, itemFiles[index], itemParams[index], { test: testMode });
+            const result = readBackendResult(model, aiResponse);
+            await commitReservation(itemReservations[index]);
+            const generationId = await recordGeneration({
+              model,
+              apiKeyData: req.apiKeyData,
+              reservation: itemReservations[index],
+              params: itemParams[index],
+              files: itemFiles[index],
+              result
+            });
+            results[index] = {
+              index,
+              success: true,
+              generationId,
+              tokensUsed: itemCosts[index],
+              contentType: result.contentType,
+              data: model.responseType === 'application/json' ? aiResponse.data : result.body
+            };
+          } catch (error) {
+            console.error(`${model.name} batch item ${index} error:`, error.message);
+            let tokensRefunded = 0;
+            try {
+              tokensRefunded = await refundReservation(itemReservations[index]);
+            } catch (refundError) {
+              console.error(`${model.name} batch item ${index} refund failed:`, refundError);
+            }
+            results[index] = {
+              index,
+              success: false,
+              error: error.response?.data?.message || error.message || 'AI processing failed',
+              tokensRefunded
+            };
+          }
+        }
+      };
+      await Promise.all(Array.from({ length: Math.min(concurrency, files.length) }, processItems));
+
+      await updateApiKeyLastUsed(req.apiKeyData.id);
+
+      const succeeded = results.filter(result => result.success).length;
+      const tokensUsed = results.reduce((sum, result) => sum + (result.tokensUsed || 0), 0);
+      const tokensRefunded = totalCost - tokensUsed;
+
+      res.set({
+        'X-Tokens-Used': tokensUsed.toString(),
+        'X-Tokens-Remaining': (req.apiKeyData.tokens - tokensUsed).toString(),
+        'X-Processing-Time-Ms': (Date.now() - startTime).toString(),
+        'X-Model': getModelLabel(model),
+        'X-Batch-Size': files.length.toString()
+      });
+
+      if (req.warningMessage) {
+        res.set('X-Warning', req.warningMessage);
+      }
+
+      const status = succeeded === 0 ? 500 : 200;
+
+      if (req.accepts(['application/json', 'multipart/mixed']) === 'multipart/mixed') {
+        const boundary = `batch_${Date.now().toString(16)}`;
+        return res.status(status)
+          .set('Content-Type', `multipart/mixed; boundary=${boundary}`)
+          .send(buildMultipartBody(results, boundary));
+      }
+
+      res.status(status).json({
+        success: succeeded > 0,
+        count: files.length,
+        succeeded,
+        failed: files.length - succeeded,
+        tokens_used: tokensUsed,
+        tokens_refunded: tokensRefunded,
+        results: results.map(result => result.success
+          ? {
+            index: result.index,
+            success: true,
+            tokens_used: result.tokensUsed,
+            generation_id: result.generationId || undefined,
+            content_type: result.contentType,
+            data: Buffer.isBuffer(result.data) ? result.data.toString('base64') : result.data
+          }
+          : {
+            index: result.index,
+            success: false,
+            error: result.error,
+            tokens_refunded: result.tokensRefunded
+          })
+      });
+
+    } catch (error) {
+      console.error(`${model.name} batch error:`, error.message);
+
+      // Nothing was split into items yet - give the whole reservation back
+      try {
+        await refundReservation(reservation);
+      } catch (refundError) {
+        console.error(`${model.name} batch token refund failed:`, refundError);
+      }
+
+      res.status(500).json({
+        success: false,
+        error: `${model.name} batch processing failed`,
+        message: error.message,
+        details: process.env.NODE_ENV === 'development' ? error.message : undefined
+      });
+    }
+  };
+}
+
+// Announce the served version, and its deprecation (RFC 9745) and sunset (RFC 8594) dates
+function setVersionHeaders(res, model) {
+  const lifecycle = getVersionLifecycle(model);
+
+  res.set('X-Model-Version', model.version);
+
+  if (lifecycle.deprecated) {
+    res.set('Deprecation', lifecycle.deprecatedAt ? `@${Math.floor(lifecycle.deprecatedAt.getTime() / 1000)}` : 'true');
+  }
+  if (lifecycle.sunset) {
+    res.set('Sunset', lifecycle.sunset.toUTCString());
+  }
+  if (lifecycle.successor) {
+    res.set('Link', `<${model.endpoint}/${lifecycle.successor}>; rel="successor-version"`);
+  }
+}
+
+// Pick the model version for a request: the version in the path, then the X-Model-Version header,
+// then the default as of the API key's creation (unpinned clients keep the version they were built against)
+function selectVersion(model, pathVersion) {
+  return (req, res, next) => {
+    const result = resolveModelVersion(model, pathVersion || req.headers['x-model-version'], req.apiKeyData.pinned_at);
+
+    if (!result.model) {
+      return res.status(result.status).json({
+        success: false,
+        error: result.error,
+        message: result.message
+      });
+    }
+
+    req.model = result.model;
+    setVersionHeaders(res, result.model);
+    next();
+  };
+}
+
+// Route a request to the middleware stack of the version chosen by selectVersion
+function dispatchVersion(stacks) {
+  return (req, res, next) => {
+    const stack = stacks.get(req.model.version);
+
+    if (!stack) {
+      return res.status(404).json({
+        success: false,
+        error: 'Not supported',
+        message: `${req.model.name} ${req.model.version} does not support this endpoint`
+      });
+    }
+
+    stack(req, res, next);
+  };
+}
+
+// Mount every enabled model at its configured endpoint
+// <endpoint> serves the pinned/requested version, <endpoint>/<version> and <endpoint>/default a fixed one
+for (const model of getEnabledModels()) {
+  const method = model.method.toLowerCase();
+  const routePath = getModelRoutePath(model);
+  const versions = getModelVersions(model);
+
+  // Every version gets its own upload limits, schema and handler
+  const singleStacks = new Map();
+  const batchStacks = new Map();
+  const quoteStacks = new Map();
+
+  for (const version of versions) {
+    const versionModel = getModelVersion(model, version);
+
+    const single = express.Router();
+    single.use(limitConcurrency, createUpload(versionModel), idempotency, createModelHandler(versionModel));
+    singleStacks.set(version, single);
+
+    // Dry-run price of a request (POST <endpoint>/quote) - needs a valid key, but no tokens
+    const quote = express.Router();
+    quote.use(createUpload(versionModel), createQuoteHandler(versionModel));
+    quoteStacks.set(version, quote);
+
+    // Batch variant (POST <endpoint>/batch) for versions that opt in
+    if (versionModel.batch) {
+      const batch = express.Router();
+      batch.use(limitConcurrency, createUpload(versionModel, versionModel.batch.maxItems), idempotency, createBatchHandler(versionModel));
+      batchStacks.set(version, batch);
+    }
+  }
+
+  for (const pathVersion of [null, 'default', ...versions]) {
+    const versionPath = pathVersion ? `${routePath}/${pathVersion}` : routePath;
+
+    router.post(`${versionPath}/quote`, identifyClient, authorizeModel(model), selectVersion(model, pathVersion), dispatchVersion(quoteStacks));
+
+    if (batchStacks.size > 0) {
+      router.post(`${versionPath}/batch`, authenticateApiKey, authorizeModel(model), selectVersion(model, pathVersion), dispatchVersion(batchStacks));
+    }
+
+    router[method](versionPath, authenticateApiKey, authorizeModel(model), selectVersion(model, pathVersion), dispatchVersion(singleStacks));
+  }
+}
+
+module.exports = router;
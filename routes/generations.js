@@ -0,0 +1,166 @@
+// Generation history routes - list, fetch and delete past model calls
+// Mounted twice: /api/v1/generations (API key) and /generations (dashboard login session)
+const express = require('express');
+const { identifyApiKey } = require('../middleware/apiKey');
+const { authenticateToken } = require('../middleware/auth');
+const {
+  getGenerationById,
+  getUserGenerations,
+  countUserGenerations
+} = require('../config/database');
+const { getStorage } = require('../config/storage');
+const { deleteGeneration, formatGeneration } = require('../config/generations');
+
+// The account the request acts for (API key owner or logged-in user)
+function getUserId(req) {
+  return req.apiKeyData ? req.apiKeyData.user_id : req.user.id;
+}
+
+function sendNotFound(res) {
+  return res.status(404).json({
+    success: false,
+    error: 'Generation not found',
+    message: 'The requested generation does not exist or has expired'
+  });
+}
+
+// Send one stored file of a generation
+async function sendStoredFile(res, key, contentType, filename) {
+  const body = await getStorage().get(key);
+  res.set({
+    'Content-Type': contentType,
+    'Content-Disposition': `inline; filename="${filename}"`,
+    'Cache-Control': 'private, max-age=3600'
+  });
+  res.send(body);
+}
+
+// File extension for a content type
+function extensionFor(contentType) {
+  const subtype = contentType.split('/')[1] || 'bin';
+  return subtype === 'jpeg' ? 'jpg' : subtype;
+}
+
+// Build the generation routes behind the given authentication middleware
+function createGenerationRouter(authenticate) {
+  const router = express.Router();
+
+  // List generations, newest first - GET /generations?limit=20&offset=0&model=live-painting
+  router.get('/', authenticate, async (req, res) => {
+    try {
+      const limit = Math.min(Math.max(parseInt(req.query.limit) || 20, 1), 100);
+      const offset = Math.max(parseInt(req.query.offset) || 0, 0);
+      const modelId = req.query.model || null;
+      const userId = getUserId(req);
+
+      const [generations, total] = await Promise.all([
+        getUserGenerations(userId, { modelId, limit, offset }),
+        countUserGenerations(userId, modelId)
+      ]);
+
+      res.json({
+        success: true,
+        total,
+        limit,
+        offset,
+        generations: generations.map(generation => formatGeneration(generation, req.baseUrl))
+      });
+    } catch (error) {
+      console.error('List generations error:', error);
+      res.status(500).json({
+        success: false,
+        error: 'Failed to retrieve generations'
+      });
+    }
+  });
+
+  // Get one generation - GET /generations/:generationId
+  router.get('/:generationId', authenticate, async (req, res) => {
+    try {
+      const generation = await getGenerationById(req.params.generationId, getUserId(req));
+      if (!generation) {
+        return sendNotFound(res);
+      }
+
+      res.json({
+        success: true,
+        generation: formatGeneration(generation, req.baseUrl)
+      });
+    } catch (error) {
+      console.error('Get generation error:', error);
+      res.status(500).json({
+        success: false,
+        error: 'Failed to retrieve generation'
+      });
+    }
+  });
+
+  // Download the output - GET /generations/:generationId/output
+  router.get('/:generationId/output', authenticate, async (req, res) => {
+    try {
+      const generation = await getGenerationById(req.params.generationId, getUserId(req));
+      if (!generation) {
+        return sendNotFound(res);
+      }
+
+      await sendStoredFile(res, generation.output_key, generation.output_content_type,
+        `${generation.id}.${extensionFor(generation.output_content_type)}`);
+    } catch (error) {
+      console.error('Get generation output error:', error);
+      res.status(500).json({
+        success: false,
+        error: 'Failed to retrieve generation output'
+      });
+    }
+  });
+
+  // Download an input file - GET /generations/:generationId/inputs/:index
+  router.get('/:generationId/inputs/:index', authenticate, async (req, res) => {
+    try {
+      const generation = await getGenerationById(req.params.generationId, getUserId(req));
+      const input = generation && JSON.parse(generation.inputs)[parseInt(req.params.index)];
+      if (!input) {
+        return sendNotFound(res);
+      }
+
+      await sendStoredFile(res, input.key, input.content_type,
+        `${generation.id}-${input.field}.${extensionFor(input.content_type)}`);
+    } catch (error) {
+      console.error('Get generation input error:', error);
+      res.status(500).json({
+        success: false,
+        error: 'Failed to retrieve generation input'
+      });
+    }
+  });
+
+  // Delete a generation and its files - DELETE /generations/:generationId
+  router.delete('/:generationId', authenticate, async (req, res) => {
+    try {
+      const generation = await getGenerationById(req.params.generationId, getUserId(req));
+      if (!generation) {
+        return sendNotFound(res);
+      }
+
+      await deleteGeneration(generation);
+
+      res.json({
+        success: true,
+        message: 'Generation deleted successfully'
+      });
+    } catch (error) {
+      console.error('Delete generation error:', error);
+      res.status(500).json({
+        success: false,
+        error: 'Failed to delete generation'
+      });
+    }
+  });
+
+  return router;
+}
+
+module.exports = {
+  apiGenerationRoutes: createGenerationRouter(identifyApiKey),
+  dashboardGenerationRoutes: createGenerationRouter(authenticateToken)
+};
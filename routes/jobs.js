@@ -0,0 +1,90 @@
+// Async job routes - status and results of model requests sent in job mode
+const express = require('express');
+const router = express.Router();
+const { identifyClient } = require('../middleware/apiKey');
+const { formatJob, getVisibleJob } = require('../config/jobs');
+const { negotiateOutput, renderResult, buildJsonEnvelope } = require('../config/output');
+
+// Get job status - GET /api/v1/jobs/:jobId
+router.get('/:jobId', identifyClient, async (req, res) => {
+  try {
+    const job = await getVisibleJob(req.params.jobId, req.apiKeyData);
+
+    if (!job) {
+      return res.status(404).json({
+        success: false,
+        error: 'Job not found',
+        message: 'The requested job does not exist'
+      });
+    }
+
+    res.json({
+      success: true,
+      job: formatJob(job)
+    });
+  } catch (error) {
+    console.error('Get job error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to retrieve job'
+    });
+  }
+});
+
+// Get job result - GET /api/v1/jobs/:jobId/result
+router.get('/:jobId/result', identifyClient, async (req, res) => {
+  try {
+    const job = await getVisibleJob(req.params.jobId, req.apiKeyData);
+
+    if (!job) {
+      return res.status(404).json({
+        success: false,
+        error: 'Job not found',
+        message: 'The requested job does not exist'
+      });
+    }
+
+    if (job.status !== 'succeeded') {
+      return res.status(409).json({
+        success: false,
+        error: 'Result not available',
+        message: job.status === 'failed'
+          ? `The job failed: ${job.error}`
+          : `The job is still ${job.status}. Try again later.`,
+        job: formatJob(job)
+      });
+    }
+
+    // Same output negotiation as synchronous requests (Accept header or ?output_format=)
+    const output = negotiateOutput(req, job.result_content_type);
+    if (output.error) {
+      return res.status(output.status).json({
+        success: false,
+        error: output.error,
+        message: output.message
+      });
+    }
+
+    const result = { contentType: job.result_content_type, body: Buffer.from(job.result) };
+
+    if (output.format === 'json') {
+      return res.json(buildJsonEnvelope(result, {
+        job_id: job.id,
+        model: job.model_id,
+        tokens_used: job.tokens_reserved
+      }));
+    }
+
+    const rendered = await renderResult(result, output);
+    res.set('Content-Type', rendered.contentType);
+    res.send(rendered.body);
+  } catch (error) {
+    console.error('Get job result error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to retrieve job result'
+    });
+  }
+});
+
+module.exports = router;
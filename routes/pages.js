@@ -2,6 +2,7 @@
 const express = require('express');
 const router = express.Router();
 const { authenticateToken, redirectIfAuthenticated } = require('../middleware/auth');
+const { getRetentionDays } = require('../config/generations');
 
 // Landing page
 router.get('/', (req, res) => {
@@ -25,7 +26,8 @@ router.get('/dashboard', authenticateToken, (req, res) => {
     user: req.user,
     payment: req.query.payment || null,
     stripePublishableKey: process.env.STRIPE_PUBLISHABLE_KEY,
-    baseUrl: process.env.BASE_URL
+    baseUrl: process.env.BASE_URL,
+    generationRetentionDays: getRetentionDays(req.user.subscription_tier || 'free')
   });
 });
 
@@ -0,0 +1,198 @@
+// Preset routes - manage the prompt presets a model request can pick with preset=<name>
+// Mounted twice: /api/v1/presets (API key) and /presets (dashboard login session)
+const express = require('express');
+const { identifyApiKey } = require('../middleware/apiKey');
+const { authenticateToken } = require('../middleware/auth');
+const {
+  createPreset,
+  getUserPresets,
+  getPresetById,
+  getPresetByName,
+  updatePreset,
+  deletePresetById
+} = require('../config/database');
+const { getEnabledModels, getModelById, getModelVersion, getDefaultVersion } = require('../config/models');
+const {
+  PRESET_NAME_PATTERN,
+  validatePresetParams,
+  formatPreset,
+  describeGlobalPresets
+} = require('../config/presets');
+
+// The account the request acts for (API key owner or logged-in user)
+function getUserId(req) {
+  return req.apiKeyData ? req.apiKeyData.user_id : req.user.id;
+}
+
+function sendNotFound(res) {
+  return res.status(404).json({
+    success: false,
+    error: 'Preset not found',
+    message: 'The requested preset does not exist'
+  });
+}
+
+// Check a preset sent by the client - returns { preset } or { status, body } describing the problem
+function readPresetBody(body, modelId) {
+  const model = getModelById(modelId);
+  if (!model || !model.enabled) {
+    return {
+      status: 400,
+      body: { success: false, error: 'Invalid model', message: `Unknown model "${modelId}"` }
+    };
+  }
+
+  const name = typeof body.name === 'string' ? body.name.trim() : '';
+  if (!PRESET_NAME_PATTERN.test(name)) {
+    return {
+      status: 400,
+      body: {
+        success: false,
+        error: 'Invalid name',
+        message: 'Preset names are 1-64 letters, digits, "-" or "_", starting with a letter or digit'
+      }
+    };
+  }
+
+  // Presets are checked against the current default version of the model
+  const validation = validatePresetParams(getModelVersion(model, getDefaultVersion(model)), body.params);
+  if (!validation.valid) {
+    return {
+      status: 400,
+      body: {
+        success: false,
+        error: 'Invalid preset parameters',
+        message: validation.errors.map(error => `${error.field} ${error.message}`).join('; '),
+        errors: validation.errors
+      }
+    };
+  }
+
+  const description = typeof body.description === 'string' ? body.description.trim().slice(0, 200) : null;
+  return { preset: { modelId: model.id, name, description: description || null, params: validation.params } };
+}
+
+function sendNameTaken(res, preset) {
+  return res.status(409).json({
+    success: false,
+    error: 'Preset already exists',
+    message: `You already have a preset named "${preset.name}" for ${preset.modelId}`
+  });
+}
+
+// Build the preset routes behind the given authentication middleware
+function createPresetRouter(authenticate) {
+  const router = express.Router();
+
+  // List your presets and the curated ones - GET /presets?model=live-painting
+  router.get('/', authenticate, async (req, res) => {
+    try {
+      const modelId = req.query.model || null;
+      const presets = await getUserPresets(getUserId(req), modelId);
+      const globalModelIds = modelId ? [modelId] : getEnabledModels().map(model => model.id);
+
+      res.json({
+        success: true,
+        presets: presets.map(formatPreset),
+        global: globalModelIds.flatMap(describeGlobalPresets)
+      });
+    } catch (error) {
+      console.error('List presets error:', error);
+      res.status(500).json({
+        success: false,
+        error: 'Failed to retrieve presets'
+      });
+    }
+  });
+
+  // Save a preset - POST /presets { model, name, description, params }
+  router.post('/', authenticate, async (req, res) => {
+    try {
+      const { preset, status, body } = readPresetBody(req.body || {}, req.body?.model);
+      if (!preset) {
+        return res.status(status).json(body);
+      }
+
+      const userId = getUserId(req);
+      if (await getPresetByName(userId, preset.modelId, preset.name)) {
+        return sendNameTaken(res, preset);
+      }
+
+      const result = await createPreset(userId, preset.modelId, preset.name, preset.description, preset.params);
+      const created = await getPresetById(Number(result.lastInsertRowid), userId);
+
+      res.status(201).json({
+        success: true,
+        preset: formatPreset(created)
+      });
+    } catch (error) {
+      console.error('Create preset error:', error);
+      res.status(500).json({
+        success: false,
+        error: 'Failed to save preset'
+      });
+    }
+  });
+
+  // Replace a preset - PUT /presets/:presetId { name, description, params }
+  router.put('/:presetId', authenticate, async (req, res) => {
+    try {
+      const userId = getUserId(req);
+      const existing = await getPresetById(req.params.presetId, userId);
+      if (!existing) {
+        return sendNotFound(res);
+      }
+
+      const { preset, status, body } = readPresetBody(req.body || {}, existing.model_id);
+      if (!preset) {
+        return res.status(status).json(body);
+      }
+
+      const sameName = await getPresetByName(userId, preset.modelId, preset.name);
+      if (sameName && sameName.id !== existing.id) {
+        return sendNameTaken(res, preset);
+      }
+
+      await updatePreset(existing.id, userId, preset.name, preset.description, preset.params);
+
+      res.json({
+        success: true,
+        preset: formatPreset(await getPresetById(existing.id, userId))
+      });
+    } catch (error) {
+      console.error('Update preset error:', error);
+      res.status(500).json({
+        success: false,
+        error: 'Failed to update preset'
+      });
+    }
+  });
+
+  // Delete a preset - DELETE /presets/:presetId
+  router.delete('/:presetId', authenticate, async (req, res) => {
+    try {
+      const result = await deletePresetById(req.params.presetId, getUserId(req));
+      if (result.rowsAffected === 0) {
+        return sendNotFound(res);
+      }
+
+      res.json({
+        success: true,
+        message: 'Preset deleted successfully'
+      });
+    } catch (error) {
+      console.error('Delete preset error:', error);
+      res.status(500).json({
+        success: false,
+        error: 'Failed to delete preset'
+      });
+    }
+  });
+
+  return router;
+}
+
+module.exports = {
+  apiPresetRoutes: createPresetRouter(identifyApiKey),
+  dashboardPresetRoutes: createPresetRouter(authenticateToken)
+};
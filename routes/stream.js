@@ -0,0 +1,454 @@
+// Streaming routes - WebSocket live sessions for models with a `streaming` setting
+// ws://host/api/v1/stream/<model-id>[/<version>]  (API key in X-API-Key / Authorization header or ?api_key=)
+// Without a version in the path, X-Model-Version / ?version= or the API key's pinned default picks it
+//
+// Client -> server:
+//   binary message                            a canvas frame (PNG/JPEG/WebP bytes)
+//   {"type":"params","params":{...}}          change the parameters used for the next frames ("preset" loads a preset)
+// Server -> client:
+//   {"type":"session",...}                    sent once the session is open
+//   {"type":"frame","frame":n,...}            followed by a binary message with the transformed frame
+//   {"type":"dropped","frame":n}              a frame was skipped because a newer one arrived
+//   {"type":"params"|"error"|"billing",...}
+const crypto = require('crypto');
+const { STATUS_CODES } = require('http');
+const { WebSocketServer } = require('ws');
+const { getRequestApiKey, getRequestClient, resolveApiKey } = require('../middleware/apiKey');
+const { checkModelScope } = require('../config/keyScopes');
+const { updateApiKeyLastUsed } = require('../config/database');
+const { callModelBackend, readBackendResult } = require('../config/backend');
+const { reserveTokens, commitReservation, refundReservation } = require('../config/billing');
+const { checkKeyBudget } = require('../config/budgets');
+const { checkEndUserQuota } = require('../config/endUsers');
+const { isTestKey } = require('../config/testMode');
+const { holdSlot } = require('../config/state');
+const { prepareImage } = require('../config/images');
+const { priceRequest } = require('../config/pricing');
+const { applyPreset } = require('../config/presets');
+const {
+  API_BASE_PATH,
+  getModelById,
+  getModelLabel,
+  getVersionLifecycle,
+  resolveModelVersion,
+  validateRequest
+} = require('../config/models');
+
+const STREAM_PATH = `${API_BASE_PATH}/stream/`;
+
+// Defaults for the per-model `streaming` settings in config/models.js
+const STREAMING_DEFAULTS = {
+  billing: 'frame',
+  tokensPerMinute: 30,
+  maxSessionsPerUser: 2,
+  idleTimeoutMs: 5 * 60 * 1000
+};
+
+// Effective streaming settings of a model
+// Without a tokensPerFrame each frame is priced like a request (config/pricing.js)
+function getStreamingSettings(model) {
+  return {
+    ...STREAMING_DEFAULTS,
+    ...model.streaming
+  };
+}
+
+// Detect the image type of a frame from its first bytes
+function sniffImageType(buffer) {
+  if (buffer.length >= 8 && buffer.readUInt32BE(0) === 0x89504e47) return 'image/png';
+  if (buffer.length >= 3 && buffer[0] === 0xff && buffer[1] === 0xd8 && buffer[2] === 0xff) return 'image/jpeg';
+  if (buffer.length >= 12 && buffer.toString('ascii', 0, 4) === 'RIFF' && buffer.toString('ascii', 8, 12) === 'WEBP') return 'image/webp';
+  return null;
+}
+
+// Answer a rejected upgrade with a plain HTTP error
+function rejectUpgrade(socket, status, body) {
+  const payload = JSON.stringify(body);
+  socket.write(
+    `HTTP/1.1 ${status} ${STATUS_CODES[status]}\r\n` +
+    'Content-Type: application/json\r\n' +
+    `Content-Length: ${Buffer.byteLength(payload)}\r\n` +
+    'Connection: close\r\n\r\n' +
+    payload
+  );
+  socket.destroy();
+}
+
+function send(ws, message) {
+  if (ws.readyState === ws.OPEN) {
+    ws.send(JSON.stringify(message));
+  }
+}
+
+// Run one live session
+function runSession(ws, model, keyData) {
+  const settings = getStreamingSettings(model);
+  const fileField = model.requestSchema.fields.find(field => field.type === 'file');
+  const endpoint = `${STREAM_PATH}${model.id}`.replace(/\/$/, '');
+  const lifecycle = getVersionLifecycle(model);
+  // Test keys get stub frames and are never charged
+  const testMode = isTestKey(keyData);
+
+  const session = {
+    id: `ls_${crypto.randomBytes(8).toString('hex')}`,
+    params: validateRequest(model, { body: {} }, { skipFiles: true }).values,
+    tokensRemaining: keyData.tokens,
+    frameCount: 0,
+    processing: false,
+    pending: null,
+    started: false,  // Set once the first minute is charged and the session message sent
+    closed: false
+  };
+
+  let idleTimer = null;
+  let minuteTimer = null;
+
+  const resetIdleTimer = () => {
+    clearTimeout(idleTimer);
+    idleTimer = setTimeout(() => ws.close(4008, 'Session idle timeout'), settings.idleTimeoutMs);
+  };
+
+  // Close the session when the key's budget or the end user's quota is used up
+  const closeOverBudget = (overBudget) => {
+    send(ws, { type: 'error', error: overBudget.body.error, message: overBudget.body.message });
+    ws.close(overBudget.status === 429 ? 4429 : 4402, overBudget.body.error);
+  };
+
+  // Check the key's budget and the end user's quota before a charge
+  const chargeKeyBudget = (amount) => {
+    const overBudget = checkKeyBudget(keyData, amount) || checkEndUserQuota(keyData, amount);
+    if (overBudget) {
+      closeOverBudget(overBudget);
+      return false;
+    }
+    return true;
+  };
+
+  // Charge one minute in minute billing mode (closes the session if the user can't pay)
+  const chargeMinute = async () => {
+    if (!chargeKeyBudget(settings.tokensPerMinute)) {
+      return false;
+    }
+    const { reservation, overBudget } = await reserveTokens(keyData, endpoint, settings.tokensPerMinute);
+    if (overBudget) {
+      closeOverBudget(overBudget);
+      return false;
+    }
+    if (!reservation) {
+      send(ws, { type: 'error', error: 'Insufficient tokens', message: `A streaming minute costs ${settings.tokensPerMinute} tokens.` });
+      ws.close(4402, 'Insufficient tokens');
+      return false;
+    }
+    await commitReservation(reservation);
+    session.tokensRemaining -= reservation.amount;
+    send(ws, { type: 'billing', tokens_used: reservation.amount, tokens_remaining: session.tokensRemaining });
+    return true;
+  };
+
+  // Process the given frame, then whatever newer frame arrived in the meantime
+  const processFrame = async (frame) => {
+    session.processing = true;
+    const startTime = Date.now();
+    let reservation = null;
+
+    try {
+      // Check dimensions and convert the frame before it is charged
+      const prepared = await prepareImage(model, {
+        buffer: frame.buffer,
+        originalname: `frame-${frame.number}`,
+        mimetype: frame.mimetype,
+        size: frame.buffer.length
+      });
+      if (prepared.error) {
+        send(ws, { type: 'error', frame: frame.number, error: 'Invalid frame', message: `Frame ${prepared.error}` });
+        return;
+      }
+
+      if (settings.billing === 'frame') {
+        const frameCost = testMode ? 0 : settings.tokensPerFrame ?? priceRequest(model, session.params, { [fileField.name]: [prepared.file] }).tokens;
+        if (!chargeKeyBudget(frameCost)) {
+          return;
+        }
+        const reserved = await reserveTokens(keyData, endpoint, frameCost);
+        if (reserved.overBudget) {
+          closeOverBudget(reserved.overBudget);
+          return;
+        }
+        reservation = reserved.reservation;
+        if (!reservation) {
+          send(ws, { type: 'error', error: 'Insufficient tokens', message: `This frame costs ${frameCost} token(s).` });
+          ws.close(4402, 'Insufficient tokens');
+          return;
+        }
+      }
+
+      const aiResponse = await callModelBackend(model, { [fileField.name]: [prepared.file] }, session.params, { test: testMode });
+      const result = readBackendResult(model, aiResponse);
+
+      await commitReservation(reservation);
+      const tokensUsed = reservation ? reservation.amount : 0;
+      session.tokensRemaining -= tokensUsed;
+
+      send(ws, {
+        type: 'frame',
+        frame: frame.number,
+        content_type: result.contentType,
+        tokens_used: tokensUsed,
+        tokens_remaining: session.tokensRemaining,
+        processing_time_ms: Date.now() - startTime
+      });
+      if (ws.readyState === ws.OPEN) {
+        ws.send(result.body);
+      }
+    } catch (error) {
+      console.error(`${model.name} stream frame error:`, error.message);
+
+      let tokensRefunded = 0;
+      try {
+        tokensRefunded = await refundReservation(reservation);
+      } catch (refundError) {
+        console.error(`${model.name} stream token refund failed:`, refundError);
+      }
+
+      send(ws, {
+        type: 'error',
+        frame: frame.number,
+        error: `${model.name} processing failed`,
+        message: error.response?.data?.message || error.message,
+        tokens_refunded: tokensRefunded
+      });
+    } finally {
+      session.processing = false;
+
+      if (session.pending && !session.closed) {
+        const next = session.pending;
+        session.pending = null;
+        processFrame(next);
+      }
+    }
+  };
+
+  const handleFrame = (buffer) => {
+    const number = ++session.frameCount;
+    const mimetype = sniffImageType(buffer);
+
+    if (!mimetype || (fileField.accepts && !fileField.accepts.includes(mimetype))) {
+      return send(ws, { type: 'error', frame: number, error: 'Invalid frame', message: `Frames must be one of: ${(fileField.accepts || ['image/png', 'image/jpeg', 'image/webp']).join(', ')}` });
+    }
+
+    const frame = { number, buffer, mimetype };
+
+    // Only the newest frame waits - an older waiting frame is stale and gets dropped
+    if (session.processing) {
+      if (session.pending) {
+        send(ws, { type: 'dropped', frame: session.pending.number });
+      }
+      session.pending = frame;
+      return;
+    }
+
+    processFrame(frame);
+  };
+
+  const handleMessage = async (message) => {
+    let parsed;
+    try {
+      parsed = JSON.parse(message.toString());
+    } catch (error) {
+      return send(ws, { type: 'error', error: 'Invalid message', message: 'Text messages must be JSON' });
+    }
+
+    if (parsed.type !== 'params' || typeof parsed.params !== 'object' || parsed.params === null) {
+      return send(ws, { type: 'error', error: 'Invalid message', message: 'Expected {"type":"params","params":{...}}' });
+    }
+
+    // A preset field loads a preset under the other changes
+    const changes = await applyPreset(model, keyData.user_id, parsed.params);
+    if (changes.error) {
+      return send(ws, { type: 'error', error: changes.error, message: changes.message });
+    }
+
+    // Changes are merged into the current parameters
+    const validation = validateRequest(model, { body: { ...session.params, ...changes.body } }, { skipFiles: true });
+    if (!validation.valid) {
+      return send(ws, { type: 'error', error: 'Invalid request parameters', errors: validation.errors });
+    }
+
+    session.params = validation.values;
+    send(ws, { type: 'params', params: session.params });
+  };
+
+  ws.on('message', (data, isBinary) => {
+    // Nothing is processed before the session is paid for and announced
+    if (!session.started) {
+      return send(ws, { type: 'error', error: 'Session not started', message: 'Wait for the session message before sending frames or params' });
+    }
+
+    resetIdleTimer();
+    if (isBinary) {
+      handleFrame(Buffer.isBuffer(data) ? data : Buffer.concat(data));
+    } else {
+      handleMessage(data).catch(error => {
+        console.error(`${model.name} stream message error:`, error);
+        send(ws, { type: 'error', error: 'Failed to apply parameters' });
+      });
+    }
+  });
+
+  ws.on('close', () => {
+    session.closed = true;
+    session.pending = null;
+    clearTimeout(idleTimer);
+    clearInterval(minuteTimer);
+  });
+
+  ws.on('error', (error) => {
+    console.error(`${model.name} stream socket error:`, error.message);
+  });
+
+  const start = async () => {
+    try {
+      if (settings.billing === 'minute') {
+        if (!(await chargeMinute())) {
+          return;
+        }
+        minuteTimer = setInterval(() => {
+          chargeMinute().catch(error => {
+            console.error(`${model.name} stream billing error:`, error);
+            ws.close(1011, 'Billing failed');
+          });
+        }, 60 * 1000);
+      }
+
+      await updateApiKeyLastUsed(keyData.id);
+      resetIdleTimer();
+      session.started = !session.closed;
+
+      send(ws, {
+        type: 'session',
+        session_id: session.id,
+        model: getModelLabel(model),
+        version: model.version,
+        deprecated: lifecycle.deprecated || undefined,
+        sunset: lifecycle.sunset ? lifecycle.sunset.toISOString() : undefined,
+        successor: lifecycle.successor || undefined,
+        billing: settings.billing,
+        test: testMode || undefined,
+        // Frames priced by the pricing rules report the base price - each frame message has the actual charge
+        tokens_per_unit: testMode ? 0 : settings.billing === 'minute'
+          ? settings.tokensPerMinute
+          : settings.tokensPerFrame ?? priceRequest(model, session.params, {}).tokens,
+        tokens_remaining: session.tokensRemaining,
+        params: session.params
+      });
+    } catch (error) {
+      console.error(`${model.name} stream start error:`, error);
+      ws.close(1011, 'Failed to start session');
+    }
+  };
+
+  start();
+}
+
+// Handle WebSocket upgrades for streaming models on an HTTP server
+function attachStreamingServer(server) {
+  // One WebSocket server per model version, so frames are capped at the version's max file size
+  const servers = new Map();
+  const getServer = (model) => {
+    const key = `${model.id}@${model.version}`;
+    if (!servers.has(key)) {
+      servers.set(key, new WebSocketServer({ noServer: true, maxPayload: model.limitations.maxFileSize }));
+    }
+    return servers.get(key);
+  };
+
+  server.on('upgrade', async (req, socket, head) => {
+    const url = new URL(req.url, 'http://localhost');
+
+    if (!url.pathname.startsWith(STREAM_PATH)) {
+      return socket.destroy();
+    }
+
+    const [modelId, pathVersion] = url.pathname.slice(STREAM_PATH.length).split('/');
+    const baseModel = getModelById(modelId);
+    if (!baseModel || !baseModel.enabled) {
+      return rejectUpgrade(socket, 404, {
+        success: false,
+        error: 'Model not found',
+        message: 'The requested model does not exist or does not support streaming'
+      });
+    }
+
+    try {
+      // Browsers can't set headers on a WebSocket handshake, so ?api_key= (a key or client token) and ?end_user_id=
+      // are accepted as well
+      const client = getRequestClient(req);
+      const result = await resolveApiKey(getRequestApiKey(req) || url.searchParams.get('api_key'), {
+        requireTokens: true,
+        client: { ...client, endUserId: client.endUserId || url.searchParams.get('end_user_id') || undefined },
+        allowClientTokens: true
+      });
+      if (!result.keyData) {
+        return rejectUpgrade(socket, result.status, result.body);
+      }
+
+      const outOfScope = checkModelScope(result.keyData, baseModel);
+      if (outOfScope) {
+        return rejectUpgrade(socket, outOfScope.status, outOfScope.body);
+      }
+
+      const requestedVersion = pathVersion || req.headers['x-model-version'] || url.searchParams.get('version');
+      const version = resolveModelVersion(baseModel, requestedVersion, result.keyData.pinned_at);
+      if (!version.model) {
+        return rejectUpgrade(socket, version.status, {
+          success: false,
+          error: version.error,
+          message: version.message
+        });
+      }
+
+      const model = version.model;
+      if (!model.streaming) {
+        return rejectUpgrade(socket, 404, {
+          success: false,
+          error: 'Model not found',
+          message: `${model.name} ${model.version} does not support streaming`
+        });
+      }
+
+      const settings = getStreamingSettings(model);
+      // Sessions are counted in the shared state store, so the cap holds across instances
+      const releaseSession = await holdSlot(`stream-sessions:${result.keyData.user_id}`, settings.maxSessionsPerUser);
+      if (!releaseSession) {
+        return rejectUpgrade(socket, 429, {
+          success: false,
+          error: 'Too many sessions',
+          message: `You can have at most ${settings.maxSessionsPerUser} live sessions open at once`
+        });
+      }
+      // The slot is held until the connection closes, whether or not the handshake completes
+      if (socket.destroyed) {
+        return releaseSession();
+      }
+      socket.once('close', releaseSession);
+
+      getServer(model).handleUpgrade(req, socket, head, (ws) => {
+        if (result.keyWarning) {
+          send(ws, { type: 'warning', message: result.keyWarning });
+        }
+        runSession(ws, model, result.keyData);
+      });
+    } catch (error) {
+      console.error('Stream authentication error:', error);
+      rejectUpgrade(socket, 500, {
+        success: false,
+        error: 'Authentication failed',
+        message: 'Internal server error'
+      });
+    }
+  });
+}
+
+module.exports = {
+  attachStreamingServer
+};
@@ -0,0 +1,66 @@
+// Usage report routes - requests and tokens over time, as JSON or CSV
+// Mounted twice: /api/v1/usage (API key) and /usage (dashboard login session)
+const express = require('express');
+const { identifyApiKey } = require('../middleware/apiKey');
+const { authenticateToken } = require('../middleware/auth');
+const { parseUsageQuery, buildUsageReport, formatUsageCsv } = require('../config/usage');
+
+// The account the request acts for (API key owner or logged-in user)
+function getUserId(req) {
+  return req.apiKeyData ? req.apiKeyData.user_id : req.user.id;
+}
+
+// CSV is picked with ?format=csv or an Accept: text/csv header
+function wantsCsv(req) {
+  if (req.query.format) {
+    return req.query.format === 'csv';
+  }
+  return req.accepts(['application/json', 'text/csv']) === 'text/csv';
+}
+
+// Build the usage routes behind the given authentication middleware
+function createUsageRouter(authenticate) {
+  const router = express.Router();
+
+  // Usage report - GET /usage/history?from=2024-01-01&to=2024-01-31&group_by=day,api_key&api_key=3&format=csv
+  router.get('/history', authenticate, async (req, res) => {
+    try {
+      const query = parseUsageQuery(req.query);
+      if (query.error) {
+        return res.status(400).json({
+          success: false,
+          error: query.error,
+          message: query.message
+        });
+      }
+
+      const report = await buildUsageReport(getUserId(req), query.options);
+
+      if (wantsCsv(req)) {
+        res.set({
+          'Content-Type': 'text/csv; charset=utf-8',
+          'Content-Disposition': `attachment; filename="usage-${report.from}-to-${report.to}.csv"`
+        });
+        return res.send(formatUsageCsv(report));
+      }
+
+      res.json({
+        success: true,
+        ...report
+      });
+    } catch (error) {
+      console.error('Usage history error:', error);
+      res.status(500).json({
+        success: false,
+        error: 'Failed to retrieve usage history'
+      });
+    }
+  });
+
+  return router;
+}
+
+module.exports = {
+  apiUsageRoutes: createUsageRouter(identifyApiKey),
+  dashboardUsageRoutes: createUsageRouter(authenticateToken)
+};
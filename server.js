@@ -17,7 +17,17 @@ const path = require('path');
 const helmet = require('helmet');
 const rateLimit = require('express-rate-limit');
 const { initializeDatabase } = require('./config/database');
+const { createRateLimitStore } = require('./config/state');
 const passport = require('./config/passport');
+const { checkClientTokenSecret } = require('./config/clientTokens');
+
+// Client tokens are signed with their own secret - refuse to start without one
+try {
+  checkClientTokenSecret();
+} catch (error) {
+  console.error(error.message);
+  process.exit(1);
+}
 
 // Initialize Express app
 const app = express();
@@ -43,35 +53,45 @@ app.use(helmet({
 }));
 
 // Security: Rate Limiting
-// General rate limiter for all routes
+// Counters live in the shared state store (config/state.js), so the limits hold across server instances
+// General rate limiter for all routes except the API (which has its own limits below)
 const generalLimiter = rateLimit({
   windowMs: 15 * 60 * 1000, // 15 minutes
   max: 100, // 100 requests per window
+  store: createRateLimitStore('general:'),
   message: 'Too many requests from this IP, please try again later',
   standardHeaders: true,
   legacyHeaders: false,
+  skip: (req) => req.path.startsWith('/api/v1/')
 });
 
 // Strict rate limiter for authentication endpoints
 const authLimiter = rateLimit({
   windowMs: 15 * 60 * 1000, // 15 minutes
   max: 5, // 5 attempts per window
+  store: createRateLimitStore('auth:'),
   message: 'Too many login attempts, please try again in 15 minutes',
   skipSuccessfulRequests: true,
   standardHeaders: true,
   legacyHeaders: false,
 });
 
-// API rate limiter (per IP or API key)
+// API rate limiter per IP - a ceiling against floods and key guessing
+// Each account's own limits depend on its tier and apply after API key authentication (middleware/rateLimit.js)
 const apiLimiter = rateLimit({
   windowMs: 60 * 1000, // 1 minute
-  max: 20, // 20 requests per minute
-  message: 'API rate limit exceeded, please slow down',
+  max: 300, // 300 requests per minute
+  store: createRateLimitStore('api:'),
   standardHeaders: true,
   legacyHeaders: false,
-  keyGenerator: (req) => {
-    // Use API key user ID if available, otherwise IP
-    return req.apiKeyData?.user_id?.toString() || req.ip;
+  handler: (req, res) => {
+    res.status(429).json({
+      success: false,
+      error: 'Rate limit exceeded',
+      message: 'Too many API requests from this IP address, please slow down',
+      limit: 'ip_requests_per_minute',
+      limit_value: req.rateLimit.limit
+    });
   }
 });
 
@@ -115,15 +135,24 @@ app.use(express.static(path.join(__dirname, 'public')));
 app.set('view engine', 'ejs');
 app.set('views', path.join(__dirname, 'views'));
 
-// Initialize database (async operation)
-initializeDatabase().catch(err => {
-  console.error('Failed to initialize database:', err);
-  process.exit(1);
-});
+// Initialize database (async operation), then start renewing job leases and failing and refunding
+// jobs interrupted by a stopped instance. Token renewal and cleanup schedulers start once the tables exist
+const { startJobMonitor } = require('./config/jobs');
+const { startTokenRenewalScheduler, startCleanupScheduler } = require('./config/scheduler');
+initializeDatabase()
+  .then(() => startJobMonitor())
+  .then(() => {
+    startTokenRenewalScheduler();
+    startCleanupScheduler();
+  })
+  .catch(err => {
+    console.error('Failed to initialize database:', err);
+    process.exit(1);
+  });
 
-// Start token renewal scheduler
-const { startTokenRenewalScheduler } = require('./config/scheduler');
-startTokenRenewalScheduler();
+// Start health probes for model backend replicas
+const { startBackendHealthChecks } = require('./config/backend');
+startBackendHealthChecks();
 
 
 // Import routes
@@ -132,6 +161,10 @@ const authRoutes = require('./routes/auth');
 const paymentRoutes = require('./routes/payment');
 const apiKeyRoutes = require('./routes/apikey');
 const apiRoutes = require('./routes/api');
+const { dashboardGenerationRoutes } = require('./routes/generations');
+const { dashboardPresetRoutes } = require('./routes/presets');
+const { dashboardUsageRoutes } = require('./routes/usage');
+const { dashboardEndUserRoutes } = require('./routes/endUsers');
 
 // Export rate limiters for use in routes
 app.locals.authLimiter = authLimiter;
@@ -142,6 +175,10 @@ app.use('/', pageRoutes);              // Landing, login, register, dashboard pa
 app.use('/auth', authLimiter, authRoutes);          // Authentication endpoints (with rate limiting)
 app.use('/payment', paymentRoutes);    // Stripe payment & subscription endpoints
 app.use('/apikey', apiKeyRoutes);      // API key management endpoints
+app.use('/generations', dashboardGenerationRoutes); // Generation history for the dashboard
+app.use('/presets', dashboardPresetRoutes);         // Prompt presets for the dashboard
+app.use('/usage', dashboardUsageRoutes);            // Usage reports for the dashboard
+app.use('/end-users', dashboardEndUserRoutes);      // Per end user quota for the dashboard
 app.use('/api/v1', apiLimiter, apiRoutes);            // AI API endpoints (with rate limiting)
 
 // Health check endpoint
@@ -171,7 +208,7 @@ app.use((err, req, res, next) => {
 });
 
 // Start server
-app.listen(PORT, () => {
+const server = app.listen(PORT, () => {
   console.log('═══════════════════════════════════════════════════════');
   console.log('🚀 AI SaaS Platform Server Started');
   console.log('═══════════════════════════════════════════════════════');
@@ -201,4 +238,8 @@ app.listen(PORT, () => {
   console.log('═══════════════════════════════════════════════════════');
 });
 
+// WebSocket live sessions (ws://host/api/v1/stream/<model-id>)
+const { attachStreamingServer } = require('./routes/stream');
+attachStreamingServer(server);
+
 module.exports = app;
\ No newline at end of file
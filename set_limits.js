@@ -0,0 +1,52 @@
+// Script to give an account its own API limits instead of its tier's (see config/limits.js)
+// Usage: node set_limits.js <email> <requests-per-minute|default> <max-concurrent-requests|default>
+require('dotenv').config();
+const { initializeDatabase, getUserByEmail, updateUserLimits } = require('./config/database');
+const { getAccountLimits } = require('./config/limits');
+
+const [email, rateArg, concurrencyArg] = process.argv.slice(2);
+
+// "default" (or nothing) clears the override
+function parseLimit(value) {
+  if (value === undefined || value === 'default') {
+    return null;
+  }
+  const limit = parseInt(value);
+  if (!Number.isInteger(limit) || limit < 1) {
+    console.log(`❌ Invalid limit: ${value}`);
+    process.exit(1);
+  }
+  return limit;
+}
+
+async function setLimits() {
+  try {
+    if (!email) {
+      console.log('Usage: node set_limits.js <email> <requests-per-minute|default> <max-concurrent-requests|default>');
+      process.exit(1);
+    }
+
+    await initializeDatabase();
+
+    const user = await getUserByEmail(email);
+    if (!user) {
+      console.log(`❌ User not found with email: ${email}`);
+      process.exit(1);
+    }
+
+    await updateUserLimits(parseLimit(rateArg), parseLimit(concurrencyArg), user.id);
+
+    const limits = getAccountLimits(await getUserByEmail(email));
+    console.log(`\n✅ Limits updated for ${email} (${limits.tier})`);
+    console.log(`Requests per minute: ${limits.requestsPerMinute}`);
+    console.log(`Concurrent model requests: ${limits.maxConcurrentRequests}`);
+
+    process.exit(0);
+  } catch (error) {
+    console.error('❌ Error:', error.message);
+    console.error(error);
+    process.exit(1);
+  }
+}
+
+setLimits();